@@ -0,0 +1,112 @@
+/**
+ * Saved references to headings, such as pins, that outlive the page's heading
+ * IDs. Shared by the content script, which finds the headings again on the
+ * page, and the popup, which lists saved headings across pages.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCAnchors) {
+    return;
+  }
+
+  /**
+   * Returns the key data about a page is stored under
+   * @param {string} url - Page URL
+   * @returns {string} The URL without its hash
+   */
+  function getPageKey(url) {
+    return String(url || '').split('#')[0];
+  }
+
+  /**
+   * Normalizes heading text for comparison
+   * @param {string} text - Heading text
+   * @returns {string} Lower-cased text with whitespace collapsed
+   */
+  function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Describes a heading so it can be found again on a later visit
+   * @param {Object} heading - Heading object as { id, text, level, link }
+   * @param {number} index - Position of the heading among the page's headings
+   * @returns {Object} Anchor as { id, text, level, index, link }
+   */
+  function createAnchor(heading, index) {
+    return {
+      id: heading.id,
+      text: heading.text,
+      level: heading.level,
+      index,
+      link: heading.link || ''
+    };
+  }
+
+  /**
+   * Finds the headings anchors refer to. An anchor matches the heading with
+   * its ID and text, then the heading with its text nearest its old
+   * position, then the heading at its ID and level whose text was edited.
+   * Each heading matches at most one anchor.
+   * @param {Array} anchors - Anchors returned by createAnchor
+   * @param {Array} headings - The page's headings in document order
+   * @returns {Array} Matching heading for each anchor, or null where none matches
+   */
+  function matchAnchors(anchors, headings) {
+    const matches = anchors.map(() => null);
+    const taken = new Set();
+    const texts = headings.map(heading => normalizeText(heading.text));
+
+    const claim = (anchorIndex, headingIndex) => {
+      matches[anchorIndex] = headings[headingIndex];
+      taken.add(headingIndex);
+    };
+
+    anchors.forEach((anchor, anchorIndex) => {
+      const headingIndex = headings.findIndex((heading, i) =>
+        !taken.has(i) && heading.id === anchor.id && texts[i] === normalizeText(anchor.text));
+      if (headingIndex !== -1) {
+        claim(anchorIndex, headingIndex);
+      }
+    });
+
+    anchors.forEach((anchor, anchorIndex) => {
+      if (matches[anchorIndex]) {
+        return;
+      }
+      const text = normalizeText(anchor.text);
+      let best = -1;
+      texts.forEach((candidate, i) => {
+        if (taken.has(i) || candidate !== text) {
+          return;
+        }
+        if (best === -1 || Math.abs(i - anchor.index) < Math.abs(best - anchor.index)) {
+          best = i;
+        }
+      });
+      if (best !== -1) {
+        claim(anchorIndex, best);
+      }
+    });
+
+    anchors.forEach((anchor, anchorIndex) => {
+      if (matches[anchorIndex]) {
+        return;
+      }
+      const headingIndex = headings.findIndex((heading, i) =>
+        !taken.has(i) && heading.id === anchor.id && heading.level === anchor.level);
+      if (headingIndex !== -1) {
+        claim(anchorIndex, headingIndex);
+      }
+    });
+
+    return matches;
+  }
+
+  global.TOCAnchors = {
+    getPageKey,
+    createAnchor,
+    matchAnchors
+  };
+})(globalThis);
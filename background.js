@@ -2,24 +2,82 @@
  * Background script to handle communication between popup and content scripts
  */
 
-// Store information about tabs with injected content script
-const injectedTabs = {};
-
-// Message action constants
-const ACTIONS = {
-  PING: 'ping',
-  CHECK_STATUS: 'checkContentScriptStatus',
-  TOGGLE_TOC: 'toggleTOC',
-  REFRESH_TOC: 'refreshTOC',
+// Shared settings store, message protocol and site rules, which settings
+// need to upgrade stored site entries
+importScripts('settings.js', 'protocol.js', 'rules.js');
+
+// Scripts injected into tabs the manifest's content scripts did not reach,
+// in the same order as the manifest lists them
+const CONTENT_SCRIPT_FILES = ['settings.js', 'protocol.js', 'rules.js', 'profiles.js', 'themes.js', 'outline.js', 'anchors.js', 'content.js'];
+
+// Per-tab state lives in chrome.storage.session under this prefix plus the
+// tab ID, so it outlives the service worker being suspended. Each entry is
+// { injected, allowed, rule, headingCount, lastRefresh, version, updatedAt }.
+const TAB_STATE_PREFIX = 'tab:';
+
+// Tab state writes, chained so concurrent updates to a tab never overwrite each other
+let tabStateWrites = Promise.resolve();
+
+// Injections in progress by tab ID, so concurrent callers share one injection
+const pendingInjections = new Map();
+
+// Command names and error codes shared with the popup and content script
+const { COMMANDS, ERRORS } = TOCProtocol;
+
+// Command for each keyboard command declared in the manifest
+const KEYBOARD_COMMANDS = {
+  'toggle-sidebar': COMMANDS.TOGGLE,
+  'refresh-toc': COMMANDS.REFRESH,
+  'switch-side': COMMANDS.SWITCH_SIDE,
+  'next-heading': COMMANDS.NEXT_HEADING,
+  'previous-heading': COMMANDS.PREVIOUS_HEADING,
+  'parent-heading': COMMANDS.PARENT_HEADING,
+  'open-palette': COMMANDS.OPEN_PALETTE,
+};
+
+// Handler for each command of protocol.js that the background script runs,
+// called with the arguments, the request and its sender. Content commands
+// are forwarded to the tab instead.
+const COMMAND_HANDLERS = {
+  [COMMANDS.CHECK_STATUS]: (args, message, sender) => {
+    const tabId = getRequestTabId(message, sender);
+    if (tabId === undefined) {
+      throw TOCProtocol.createError(ERRORS.NO_TAB, 'No tab ID found');
+    }
+    return checkContentScriptStatus(tabId);
+  },
+  [COMMANDS.REPORT_STATUS]: (args, message, sender) => {
+    if (!sender.tab) {
+      throw TOCProtocol.createError(ERRORS.NO_TAB, 'Only content scripts report their status');
+    }
+    console.log(`Received status from content script in tab ${sender.tab.id}`);
+    return updateTabState(sender.tab.id, getReportedState(args)).then(() => true);
+  },
+  [COMMANDS.GET_SHORTCUT]: async (args) => {
+    const name = Object.keys(KEYBOARD_COMMANDS).find(key => KEYBOARD_COMMANDS[key] === args.command);
+    const commands = name ? await chrome.commands.getAll() : [];
+    const bound = commands.find(command => command.name === name);
+    return (bound && bound.shortcut) || '';
+  }
 };
 
 // Register listener when extension starts
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed');
+  
+  // Store defaults for settings introduced by this version
+  TOCSettings.initialize().catch(error => {
+    console.error('Error initializing settings:', error);
+  });
 });
 
 // Listen for tab updates or creation
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // A new document starts without the content script of the previous one
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    clearTabState(tabId);
+  }
+  
   if (changeInfo.status === 'complete') {
     console.log(`Tab ${tabId} loaded completely`);
     
@@ -33,121 +91,195 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 // Listen for tab closure to clean up state
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (injectedTabs[tabId]) {
-    delete injectedTabs[tabId];
+  clearTabState(tabId).then(() => {
     console.log(`Removed state for tab ${tabId}`);
-  }
+  });
 });
 
-// Listen for messages from content script to mark tab as injected
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // If this is content script notifying successful injection
-  if (message.action === ACTIONS.PING && sender.tab) {
-    const tabId = sender.tab.id;
-    console.log(`Received ping from content script in tab ${tabId}`);
-    injectedTabs[tabId] = {
-      injected: true,
-      timestamp: Date.now()
-    };
-    sendResponse({ pong: true });
-    return true;
+// Run keyboard shortcuts (rebindable at chrome://extensions/shortcuts) in the active tab
+chrome.commands.onCommand.addListener((command, tab) => {
+  const tocCommand = KEYBOARD_COMMANDS[command];
+  if (!tocCommand) {
+    console.warn('Unknown command:', command);
+    return;
   }
   
-  // Handle other messages
-  handleMessage(message, sender, sendResponse);
+  const tabPromise = tab ? Promise.resolve(tab) : chrome.tabs.query({ active: true, currentWindow: true }).then(tabs => tabs[0]);
+  tabPromise.then(activeTab => {
+    // Commands cannot reach chrome:// and other non-web pages
+    if (!activeTab || !activeTab.url || !activeTab.url.startsWith('http')) {
+      return;
+    }
+    return handleContentScriptAction(activeTab.id, TOCProtocol.createRequest(tocCommand))
+      .then(response => {
+        console.log(`Command ${command} response:`, response);
+      });
+  }).catch(error => {
+    console.error(`Error handling command ${command}:`, error);
+  });
+});
+
+// Listen for requests from the popup and content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleMessage(message, sender).then(sendResponse);
   return true;
 });
 
 /**
  * Handle messages sent to background script
- * @param {Object} message - The received message
+ * @param {Object} message - The received request
  * @param {Object} sender - Sender information
- * @param {Function} sendResponse - Callback function to respond
+ * @returns {Promise<Object>} The response
  */
-function handleMessage(message, sender, sendResponse) {
+async function handleMessage(message, sender) {
   console.log('Background received message:', message);
-  console.log('Message action:', message.action);
-  console.log('Is toggle action?', message.action === ACTIONS.TOGGLE_TOC);
-  console.log('Is refresh action?', message.action === ACTIONS.REFRESH_TOC);
-  
-  // Determine tab ID
-  const tabId = sender.tab ? sender.tab.id : message.tabId;
   
-  if (!tabId) {
-    console.error('No tab ID found');
-    sendResponse({ error: 'No tab ID found' });
-    return;
-  }
-
-  // Check tab status
-  if (message.action === ACTIONS.CHECK_STATUS) {
-    checkContentScriptStatus(tabId)
-      .then(status => sendResponse(status))
-      .catch(error => {
-        console.error('Error checking content script status:', error);
-        sendResponse({ ready: false, error: error.message });
-      });
-    return;
+  const invalid = TOCProtocol.validateRequest(message);
+  if (invalid) {
+    console.warn('Rejected message:', invalid.error);
+    return invalid;
   }
   
-  // Handle interaction messages with content script
-  if (message.action === ACTIONS.TOGGLE_TOC || message.action === ACTIONS.REFRESH_TOC) {
-    console.log('Handling action:', message.action, 'for tab:', tabId);
-    handleContentScriptAction(tabId, message)
-      .then(response => {
-        console.log('Content script action response:', response);
-        sendResponse(response);
-      })
-      .catch(error => {
-        console.error(`Error handling ${message.action}:`, error);
-        sendResponse({ success: false, error: error.message });
-      });
-    
-    // Return true to indicate we want to use sendResponse asynchronously
-    return true;
+  // Run content commands in the tab, after making sure its content script is there
+  if (TOCProtocol.getDefinition(message.command).target === 'content') {
+    const tabId = getRequestTabId(message, sender);
+    if (tabId === undefined) {
+      console.error('No tab ID found');
+      return TOCProtocol.failure(ERRORS.NO_TAB, 'No tab ID found');
+    }
+    console.log('Handling command:', message.command, 'for tab:', tabId);
+    return handleContentScriptAction(tabId, message);
   }
+  
+  return TOCProtocol.dispatch(message, COMMAND_HANDLERS, { sender });
+}
+
+/**
+ * Returns the tab a request is about
+ * @param {Object} message - The received request
+ * @param {Object} sender - Sender information
+ * @returns {number|undefined} The sending tab, or the tab the popup named
+ */
+function getRequestTabId(message, sender) {
+  return sender.tab ? sender.tab.id : message.tabId;
+}
+
+/**
+ * Returns the key a tab's state is stored under in chrome.storage.session
+ * @param {number} tabId - Tab ID
+ * @returns {string} Storage key
+ */
+function getTabStateKey(tabId) {
+  return `${TAB_STATE_PREFIX}${tabId}`;
 }
 
 /**
- * Check if content script has been injected into the tab
+ * Loads what is known about a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} The tab's state, or null if nothing is known
+ */
+async function getTabState(tabId) {
+  const key = getTabStateKey(tabId);
+  const values = await chrome.storage.session.get(key);
+  return values[key] || null;
+}
+
+/**
+ * Merges new values into a tab's state
+ * @param {number} tabId - Tab ID
+ * @param {Object} values - State to change
+ * @returns {Promise<Object>} The tab's updated state
+ */
+function updateTabState(tabId, values) {
+  const write = tabStateWrites.then(async () => {
+    const state = { ...(await getTabState(tabId)), ...values, updatedAt: Date.now() };
+    await chrome.storage.session.set({ [getTabStateKey(tabId)]: state });
+    return state;
+  });
+  // Keep the chain going after a failed write
+  tabStateWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Forgets a tab's state
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+function clearTabState(tabId) {
+  const write = tabStateWrites.then(() => chrome.storage.session.remove(getTabStateKey(tabId)));
+  tabStateWrites = write.catch(() => {});
+  return write.catch(error => {
+    console.error(`Error clearing state of tab ${tabId}:`, error);
+  });
+}
+
+/**
+ * Picks the tab state from a content script's status report or ping result
+ * @param {Object} report - Status from the content script
+ * @returns {Object} State as { injected, allowed, rule, headingCount, lastRefresh, version }
+ */
+function getReportedState(report) {
+  return {
+    injected: true,
+    allowed: Boolean(report.allowed),
+    rule: report.rule || null,
+    headingCount: report.headingCount || 0,
+    lastRefresh: report.lastRefresh || null,
+    version: report.version || null
+  };
+}
+
+/**
+ * Sends a request to the content script of a tab
+ * @param {number} tabId - Tab ID
+ * @param {Object} request - Request built by TOCProtocol.createRequest
+ * @returns {Promise<Object|null>} Its response, or null if no content script answered
+ */
+function sendToContentScript(tabId, request) {
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tabId, request, response => {
+      // Reading lastError keeps Chrome from reporting a missing receiver as an error
+      if (chrome.runtime.lastError || !response) {
+        resolve(null);
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Check if content script has been injected into the tab, injecting it if
+ * not. Tabs are always pinged, so state left behind by an earlier page or
+ * a suspended service worker is never trusted on its own.
  * @param {number} tabId - ID of the tab to check
- * @returns {Promise<Object>} - Content script status
+ * @returns {Promise<Object>} - Content script status with the tab's state
  */
 async function checkContentScriptStatus(tabId) {
-  return new Promise((resolve, reject) => {
-    // If we already know the tab is injected
-    if (injectedTabs[tabId] && injectedTabs[tabId].injected) {
-      console.log(`Tab ${tabId} already has content script injected`);
-      resolve({ ready: true });
-      return;
-    }
-
-    // Check by sending a ping
+  const ping = TOCProtocol.createRequest(COMMANDS.PING);
+  let response = await sendToContentScript(tabId, ping);
+  let injected = false;
+  
+  if (!response) {
+    console.log(`Content script not detected in tab ${tabId}, trying to inject`);
     try {
-      chrome.tabs.sendMessage(tabId, { action: ACTIONS.PING }, response => {
-        if (chrome.runtime.lastError) {
-          console.log(`Content script not detected in tab ${tabId}, trying to inject`);
-          // Try to inject content script
-          injectContentScript(tabId)
-            .then(() => {
-              injectedTabs[tabId] = { injected: true, timestamp: Date.now() };
-              resolve({ ready: true, injected: true });
-            })
-            .catch(err => {
-              reject(new Error(`Failed to inject content script: ${err.message}`));
-            });
-        } else if (response && response.pong) {
-          console.log(`Content script confirmed in tab ${tabId}`);
-          injectedTabs[tabId] = { injected: true, timestamp: Date.now() };
-          resolve({ ready: true });
-        } else {
-          reject(new Error('Content script responded but with unexpected format'));
-        }
-      });
+      injected = await injectContentScript(tabId);
     } catch (err) {
-      reject(new Error(`Error checking content script: ${err.message}`));
+      throw TOCProtocol.createError(ERRORS.NOT_READY, `Failed to inject content script: ${err.message}`);
     }
-  });
+    
+    response = await sendToContentScript(tabId, ping);
+    if (!response) {
+      throw TOCProtocol.createError(ERRORS.NOT_READY, 'Content script did not respond after injection');
+    }
+  }
+  
+  // A copy from before an extension update answers with another protocol
+  // version and cannot be replaced without reloading the page
+  const status = TOCProtocol.unwrap(response);
+  console.log(`Content script confirmed in tab ${tabId}`);
+  return { ready: true, injected, ...(await updateTabState(tabId, getReportedState(status))) };
 }
 
 /**
@@ -155,83 +287,70 @@ async function checkContentScriptStatus(tabId) {
  * @param {number} tabId - ID of the tab to check
  */
 function checkContentScriptInjection(tabId) {
-  chrome.tabs.sendMessage(tabId, { action: ACTIONS.PING }, response => {
-    if (chrome.runtime.lastError) {
-      console.log(`Content script not detected in tab ${tabId}, injecting it`);
-      injectContentScript(tabId)
-        .then(() => {
-          console.log(`Successfully injected content script into tab ${tabId}`);
-          injectedTabs[tabId] = { injected: true, timestamp: Date.now() };
-        })
-        .catch(err => {
-          console.error(`Failed to inject content script into tab ${tabId}:`, err);
-        });
-    } else if (response && response.pong) {
-      console.log(`Content script already exists in tab ${tabId}`);
-      injectedTabs[tabId] = { injected: true, timestamp: Date.now() };
-    }
+  checkContentScriptStatus(tabId).catch(err => {
+    console.error(`Failed to inject content script into tab ${tabId}:`, err);
   });
 }
 
 /**
- * Handle actions that interact with the content script
+ * Runs a content command in a tab. Only when nothing answers is the content
+ * script checked for, injected if needed, and the command sent again.
  * @param {number} tabId - Tab ID
- * @param {Object} message - Message to send
- * @returns {Promise<Object>} - Result of the action
+ * @param {Object} request - Request for a content command
+ * @returns {Promise<Object>} - The content script's response
  */
-async function handleContentScriptAction(tabId, message) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Check if content script has been injected
-      const status = await checkContentScriptStatus(tabId).catch(err => ({ ready: false, error: err.message }));
-      
-      if (!status.ready) {
-        console.log(`Content script not ready in tab ${tabId}, cannot ${message.action}`);
-        resolve({ success: false, error: 'Content script not ready', injected: status.injected });
-        return;
-      }
-      
-      // Map the action names from background script to content script
-      let contentAction = message.action;
-      if (message.action === ACTIONS.TOGGLE_TOC) {
-        contentAction = 'toggle';
-        console.log('Mapping TOGGLE_TOC to toggle for content script');
-      } else if (message.action === ACTIONS.REFRESH_TOC) {
-        contentAction = 'refresh';
-        console.log('Mapping REFRESH_TOC to refresh for content script');
-      }
-      
-      // Send message to content script
-      chrome.tabs.sendMessage(tabId, { action: contentAction }, response => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response || { success: true });
-        }
-      });
-    } catch (err) {
-      reject(err);
-    }
-  });
+async function handleContentScriptAction(tabId, request) {
+  // The tab ID only routes the request here
+  const forwarded = TOCProtocol.createRequest(request.command, request.args);
+  let response = await sendToContentScript(tabId, forwarded);
+  if (response) {
+    return response;
+  }
+  
+  try {
+    await checkContentScriptStatus(tabId);
+  } catch (err) {
+    console.log(`Content script not ready in tab ${tabId}, cannot ${request.command}`);
+    return TOCProtocol.failure(err.code || ERRORS.NOT_READY, err.message);
+  }
+  
+  response = await sendToContentScript(tabId, forwarded);
+  return response || TOCProtocol.failure(ERRORS.NOT_READY, 'No response from content script');
 }
 
 /**
- * Inject content script into tab
+ * Inject content script into tab, unless a copy is already loaded there.
+ * Concurrent calls for the same tab share a single injection.
  * @param {number} tabId - ID of the tab to inject content script
- * @returns {Promise<void>} - Promise resolved when injection is successful
+ * @returns {Promise<boolean>} - True if the scripts were injected, false if a copy was already loaded
  */
-async function injectContentScript(tabId) {
-  return new Promise((resolve, reject) => {
-    chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['content.js']
-    }, (results) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        // Give content script time to initialize
-        setTimeout(resolve, 300);
-      }
+function injectContentScript(tabId) {
+  if (pendingInjections.has(tabId)) {
+    return pendingInjections.get(tabId);
+  }
+  
+  const injection = (async () => {
+    // A copy that did not answer the ping may still be starting up. Loading
+    // the scripts again could only fail on their redeclared constants.
+    const [probe] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => Boolean(globalThis.anyTOC && globalThis.anyTOC.version)
     });
-  });
-} 
\ No newline at end of file
+    if (probe && probe.result) {
+      console.log(`Content script already loaded in tab ${tabId}, not injecting it again`);
+      return false;
+    }
+    
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: CONTENT_SCRIPT_FILES
+    });
+    // Give content script time to initialize
+    await new Promise(resolve => setTimeout(resolve, 300));
+    return true;
+  })();
+  
+  pendingInjections.set(tabId, injection);
+  injection.finally(() => pendingInjections.delete(tabId)).catch(() => {});
+  return injection;
+}
@@ -3,250 +3,448 @@
  * from the main content area to build a table of contents.
  */
 
-// Constants for actions
-const ACTIONS = {
-  PING: 'ping',
-  GET_HEADINGS: 'getHeadings',
-  SCROLL_TO_HEADING: 'scrollToHeading',
-  TOGGLE: 'toggle',
-  REFRESH: 'refresh',
-  SET_POSITION: 'setPosition',
-  GET_POSITION: 'getPosition'
-};
+// Commands the popup and background worker can send (see protocol.js)
+const COMMANDS = TOCProtocol.COMMANDS;
 
 // Configuration options with defaults
 const CONFIG = {
+  // Quiet period (ms) after page changes before the TOC is updated
   CONTENT_CHANGE_THRESHOLD: 100,
-  USER_INTERACTION_THRESHOLD: 1000,
-  // List of allowed domains (add your domains here)
-  ALLOWED_DOMAINS: [
-    'chatgpt.com',
-    'gemini.google.com',
-    'grok.com'
-  ],
-  // List of allowed URL patterns (regex strings)
-  ALLOWED_URL_PATTERNS: [
-    // 'docs\\..*',
-    'blog\\..*'
-    // Add more patterns as needed
-  ]
+  // Longest (ms) continuous changes, e.g. a streaming chat reply, can delay an update
+  CONTENT_CHANGE_MAX_WAIT: 1000,
+  USER_INTERACTION_THRESHOLD: 1000
 };
 
-// Disallowed domains list that overrides the default allowed domains
-let DISALLOWED_DOMAINS = [];
+// Snapshot of the shared settings, kept current through change events
+let settings = null;
 
-// Load disallowed domains from localStorage
-try {
-  const storedDisallowedDomains = localStorage.getItem('any-toc-disallowed-domains');
-  if (storedDisallowedDomains) {
-    DISALLOWED_DOMAINS = JSON.parse(storedDisallowedDomains);
-    if (!Array.isArray(DISALLOWED_DOMAINS)) {
-      DISALLOWED_DOMAINS = [];
-    }
-  }
-} catch (e) {
-  console.error('Error loading disallowed domains:', e);
-  DISALLOWED_DOMAINS = [];
-}
+// Key that this site's preferences are stored under
+const SITE_KEY = TOCSettings.getSiteKey(window.location.href);
+
+// Mutation observer watching the page for heading changes
+let contentObserver = null;
+
+// Chat apps, where the newest messages matter most
+const CHAT_SITES = [
+  'chatgpt.com',
+  'gemini.google.com',
+  'grok.com'
+];
+
+// Element hosting the shadow root that holds the TOC's UI
+const TOC_HOST_TAG = 'any-toc-root';
+
+// Identifies this copy of the content script on the host it creates. A host
+// left by a copy that lost its extension context, e.g. after an update, is
+// replaced rather than shown next to a second sidebar.
+const TOC_INSTANCE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+let tocHost = null;
+let tocRoot = null;
+
+// Open command palette: the headings searched, current matches, the
+// selected match and the element focused before it opened
+let paletteState = null;
+
+// Most matches the command palette lists at once
+const PALETTE_MAX_RESULTS = 50;
+
+// Milliseconds the export and copy-link buttons show whether they worked
+const COPY_RESULT_DURATION = 1500;
+let exportResultTimer = null;
+
+// Constructed stylesheet shared by the TOC's shadow root, loaded once
+let tocStylesheetPromise = null;
+
+// Headings last passed to buildTOC, keyed by ID, and the order they were rendered in
+let renderedHeadings = null;
+let renderedHeadingMap = new Map();
+let renderedOrder = null;
+
+// What the content observer watches in the page, its shadow roots and frames
+const CONTENT_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  characterData: true,
+  attributes: true,
+  attributeOldValue: true,
+  attributeFilter: ['role', 'aria-level']
+};
+
+// Timers for the debounced refresh after content changes
+let contentChangeTimer = null;
+let contentChangeMaxTimer = null;
+
+// Site profile for the current page and the inputs it was resolved from
+let siteProfileCache = null;
+
+// Whether the last extraction listed chat turns
+let conversationRendered = false;
+
+// Longest prompt text shown for a chat turn before it is cut off
+const CONVERSATION_PROMPT_LENGTH = 80;
+
+// Elements of the last extracted headings by ID, including headings inside
+// shadow roots and frames that document.getElementById cannot reach
+let headingElementMap = new Map();
+
+// IDs listed for headings that cannot use an ID of their own: their ID is
+// already used in another root or frame, or the page must not be modified
+const generatedHeadingKeys = new WeakMap();
+
+// Elements holding each generated ID, so it is never handed to another
+// heading while they are in the page
+const generatedKeyOwners = new Map();
+
+// Headings given an ID by the TOC, as opposed to IDs of the page's own,
+// with the { id, text } the ID was made from
+const assignedIdElements = new WeakMap();
+
+// Shadow roots and frame documents being watched for changes, and the
+// frames whose (re)loads trigger a rescan
+let watchedRoots = new Set();
+const watchedFrames = new WeakSet();
+
+// Elements that are or may become shadow hosts or frames in each watched
+// root, found by one full scan and then kept up to date from the content
+// observer, so searches do not walk the whole page again. Custom elements
+// are kept as well, since they may attach a shadow root later.
+let nestedHostCandidates = new WeakMap();
+
+// Heading the page URL links to, waiting for the scan that gives it its ID,
+// as { id, until } with the time (ms) after which it is no longer scrolled to
+let pendingLinkedHeading = null;
+
+// Milliseconds after loading during which a linked heading is still scrolled to
+const LINKED_HEADING_WAIT = 10000;
+
+// Scroll-spy state: active heading, pending frame and the hold after a jump
+let activeHeadingId = null;
+let scrollSpyFrame = null;
+let jumpLock = null;
+
+// Fraction of the viewport height a heading must scroll above to become active
+const SCROLL_SPY_ACTIVATION_RATIO = 0.2;
+
+// Milliseconds without scrolling after which a jump is considered finished
+const SCROLL_SPY_IDLE_DELAY = 150;
+
+// Longest a jump may hold the active entry
+const SCROLL_SPY_MAX_LOCK = 2000;
+
+// Section last announced to screen readers, and the pending announcement
+let announcedHeadingId = null;
+let announceTimer = null;
+
+// Milliseconds the active section must stay put before it is announced
+const ANNOUNCE_DELAY = 1000;
+
+// Words in each heading's section, keyed by heading ID
+let sectionWordCounts = new Map();
+
+// Word counts cached per heading element as { words, next }, where next is
+// the heading the section ended at. Nodes the page changed since the last
+// count mark their sections to be counted again; past the limit every
+// section is recounted instead.
+let sectionWordCache = new WeakMap();
+let changedWordNodes = new Set();
+let allSectionWordsChanged = false;
+const WORD_CHANGE_LIMIT = 500;
+
+// URL this page's reading progress and pins are stored under
+let pageKey = null;
+
+// Reading progress of this page: sections scrolled through, where the last
+// visit stopped, and the pending save
+let readHeadingIds = new Set();
+let resumeHeadingId = null;
+let readingProgressTimer = null;
+
+// What was last stored for this page as { readCount, lastId }. Sections are
+// only ever added to the read set, so its size tells whether it changed.
+let savedReadingProgress = null;
+
+// Headings pinned on this page, as anchors from anchors.js, the heading each
+// one currently matches, and those headings' IDs
+let pinnedAnchors = [];
+let pinnedMatches = [];
+let pinnedHeadingIds = new Set();
+
+// Notes on this page's headings, as anchors from anchors.js with a note, the
+// heading each one currently matches, and the notes keyed by heading ID
+let noteAnchors = [];
+let noteMatches = [];
+let headingNotes = new Map();
+
+// Longest note, in characters
+const NOTE_MAX_LENGTH = 2000;
+
+// Element the page was last scrolled in, for chat apps that scroll an inner container
+let readingScroller = null;
+
+// Reading speed used for the time estimates
+const READING_WORDS_PER_MINUTE = 200;
+
+// Milliseconds of reading after which progress is saved, and how many pages keep theirs
+const READING_PROGRESS_SAVE_DELAY = 2000;
+const READING_PROGRESS_LIMIT = 200;
+
+// Elements whose text is never read
+const UNREAD_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG']);
+
+// Smallest sidebar size (px), its gap to the window edges when docked, and
+// how close to an edge (px) a dragged sidebar has to be to dock there
+const SIDEBAR_MIN_WIDTH = 180;
+const SIDEBAR_MIN_HEIGHT = 120;
+const SIDEBAR_MARGIN = 20;
+const SIDEBAR_SNAP_DISTANCE = 40;
+
+// Pixels the resize handles move per arrow key press
+const SIDEBAR_RESIZE_STEP = 20;
+
+// Drag or resize in progress: { type, pointerId, startX, startY, startRect }
+let sidebarGesture = null;
+
+// Pending frame for refitting the sidebar after the window is resized
+let windowResizeFrame = null;
+
+// Pending re-dock of the page once the window stops changing size
+let windowResizeTimer = null;
+const DOCK_RESIZE_DELAY = 250;
+
+// System color scheme query that the 'auto' theme follows when the page's
+// own background gives no hint
+let colorSchemeQuery = null;
+
+// Space reserved for a docked sidebar as { side, width }, and the inline
+// styles changed on page elements to make it, so they can be put back exactly
+let dockedLayout = null;
+let dockedStyles = new Map();
+
+// Elements the page added while docked, checked for fixed elements on the
+// next content refresh
+let addedPageElements = new Set();
+
+// Spacing (px) of the points sampled for fixed elements under a docked sidebar
+const DOCK_SAMPLE_STEP = 32;
+
+// Heading levels recognised on the page
+const ALL_HEADING_LEVELS = [1, 2, 3, 4, 5, 6];
+
+// Elements that act as headings without using h1-h6 tags
+const ARIA_HEADING_SELECTOR = '[role="heading"][aria-level]';
+
+// Deepest nesting level the depth slider can select
+const MAX_TREE_DEPTH = 6;
+
+// IDs of headings whose TOC entries the user collapsed
+const collapsedHeadingIds = new Set();
 
 /**
  * Checks if the current page is allowed to use the TOC
  * @returns {boolean} True if the current page is allowed
  */
 function isAllowedPage() {
-  const currentURL = window.location.href;
-  const currentDomain = window.location.hostname;
+  // Nothing is allowed until settings have loaded
+  if (!settings) {
+    return false;
+  }
   
-  // console.log('Checking if TOC is allowed on:', currentURL);
-  // console.log('Current domain:', currentDomain);
+  // Built-in and custom site rules live in rules.js
+  return TOCRules.evaluate(window.location.href, settings).allowed;
+}
+
+// Lets the background script see that a copy is already loaded before
+// injecting another. Only data goes here; commands arrive as messages.
+window.anyTOC = window.anyTOC || {};
+window.anyTOC.version = chrome.runtime.getManifest().version;
+
+// Pending report of the tab's status after the TOC changed
+let statusReportTimer = null;
+
+// Delay before reporting the tab's status, so bursts of refreshes report once
+const STATUS_REPORT_DELAY = 1000;
+
+// Setup variables to control initialization
+window.isInitialized = false;
+let initTocTimeout;
+
+// Settings must be loaded before deciding whether the page gets a TOC
+const settingsReady = loadSettings();
+
+settingsReady.then(() => {
+  // Notify that content script has been loaded
+  // console.log('Content script loaded, sending ping to background');
+  reportTabStatus();
   
-  // First check if domain is explicitly disallowed
-  for (const domain of DISALLOWED_DOMAINS) {
-    if (currentDomain.includes(domain)) {
-      // console.log('Domain explicitly disallowed:', domain);
-      return false;
+  // Run initTOC as soon as settings are available
+  try {
+    // Only initialize if current page is allowed
+    if (isAllowedPage()) {
+      initTOC();
+    } else {
+      // console.log('TOC initialization skipped: page not in allowed list');
     }
+  } catch (e) {
+    console.error('Error initializing TOC immediately:', e);
   }
   
-  // Check for allowed domains
-  for (const domain of CONFIG.ALLOWED_DOMAINS) {
-    if (currentDomain.includes(domain)) {
-      // console.log('Domain allowed from built-in ALLOWED_DOMAINS:', domain);
-      return true;
-    }
+  // Initialize TOC when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initOnDOMContentLoaded);
+  } else {
+    initOnDOMContentLoaded();
   }
-  
-  // Check for allowed URL patterns
-  for (const pattern of CONFIG.ALLOWED_URL_PATTERNS) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(currentURL)) {
-      // console.log('URL pattern allowed:', pattern);
-      return true;
-    }
+});
+
+// Set periodic ping to ensure background knows we're ready
+setInterval(() => {
+  if (isAllowedPage()) {
+    reportTabStatus();
   }
-  
-  // Allow local files if needed
-  if (currentURL.startsWith('file:///')) {
-    // console.log('Local file allowed');
-    return true;
+}, 10000);
+
+/**
+ * Loads the shared settings, first migrating any values an older version
+ * left in this page's localStorage, and subscribes to later changes
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+  try {
+    await TOCSettings.migrateLegacyStorage(localStorage, window.location.href);
+  } catch (e) {
+    console.error('Error migrating legacy TOC settings:', e);
   }
   
-  // Try to get custom allowed domains from storage
-  const storedDomains = localStorage.getItem('any-toc-allowed-domains');
-  // console.log('Stored domains from localStorage:', storedDomains);
-  
-  if (storedDomains) {
-    try {
-      const customDomains = JSON.parse(storedDomains);
-      // console.log('Parsed custom domains:', customDomains);
-      
-      if (Array.isArray(customDomains)) {
-        for (const domain of customDomains) {
-          if (currentDomain.includes(domain)) {
-            // console.log('Custom domain allowed from localStorage:', domain);
-            return true;
-          }
-        }
-      }
-    } catch (e) {
-      console.error('Error parsing custom domains:', e);
-    }
+  try {
+    settings = await TOCSettings.getAll();
+  } catch (e) {
+    console.error('Error loading TOC settings:', e);
+    settings = TOCSettings.getDefaults();
   }
   
-  // console.log('Page not allowed for TOC');
-  return false;
+  Object.assign(CONFIG, TOCSettings.sanitizeConfig(settings.config));
+  TOCSettings.onChanged(handleSettingsChange);
 }
 
-// Try to load stored configuration
-try {
-  const storedConfig = localStorage.getItem('any-toc-config');
-  if (storedConfig) {
-    const parsedConfig = JSON.parse(storedConfig);
-    if (parsedConfig && typeof parsedConfig === 'object') {
-      Object.assign(CONFIG, parsedConfig);
-    }
+/**
+ * Applies settings changed in another tab, the popup or this page
+ * @param {Object} changes - Changed settings as { key: { oldValue, newValue } }
+ */
+function handleSettingsChange(changes) {
+  const wasAllowed = isAllowedPage();
+  
+  for (const [key, change] of Object.entries(changes)) {
+    settings[key] = change.newValue;
   }
-} catch (e) {
-  console.error('Error loading saved TOC configuration:', e);
-}
-
-// Ensure global namespace availability
-window.anyTOC = window.anyTOC || {};
-
-// Define core functions early to ensure they're available
-function refreshTOC(force = false) {
-  try {
-    // Will be replaced by the full implementation later
-    if (window.refreshTOC && window.refreshTOC !== refreshTOC) {
-      return window.refreshTOC(force);
+  
+  if (changes.config) {
+    Object.assign(CONFIG, TOCSettings.sanitizeConfig(settings.config));
+  }
+  
+  const levelsChanged = Boolean(changes.headingLevels || changes.siteProfiles);
+  
+  const allowed = isAllowedPage();
+  
+  if (allowed && !wasAllowed) {
+    // Page was just added to the allow list
+    reportTabStatus();
+    initTOC();
+  } else if (!allowed && wasAllowed) {
+    // Page was just disallowed
+    removeTOC();
+    reportTabStatus();
+  } else if (allowed) {
+    if (changes.sites) {
+      applySiteSettings();
+    }
+    if (changes.appearance) {
+      applyAppearance();
+    }
+    if (changes.pins && pageKey) {
+      // Pins may have been removed from the popup
+      pinnedAnchors = loadPageAnchors('pins');
+      updatePinnedHeadings();
+    }
+    if (changes.notes && pageKey) {
+      // Notes may have been edited or deleted from another tab
+      noteAnchors = loadPageAnchors('notes');
+      updateHeadingNotes();
+    }
+    if (levelsChanged) {
+      refreshTOC(true);
     }
-    // console.log('refreshTOC stub called - will be replaced by full implementation');
-    return false;
-  } catch (e) {
-    console.error('Error in refreshTOC stub:', e);
-    return false;
   }
 }
 
-// Ensure global functions are available
-window.refreshTOC = window.refreshTOC || refreshTOC;
-window.anyTOC.refreshTOC = window.refreshTOC;
-
-// Setup variables to control initialization
-window.isInitialized = false;
-let initTocTimeout;
-
-// Notify that content script has been loaded
-// console.log('Content script loaded, sending ping to background');
-sendPingToBackground();
+/**
+ * Returns the current site's preferences from the settings snapshot
+ * @returns {Object} Site preferences with defaults applied
+ */
+function getSiteSettings() {
+  return TOCSettings.resolveSite(settings && settings.sites, SITE_KEY);
+}
 
-// Run initTOC immediately when content script runs
-try {
-  // Only initialize if current page is allowed
-  if (isAllowedPage()) {
-    initTOC();
-  } else {
-    // console.log('TOC initialization skipped: page not in allowed list');
-  }
-} catch (e) {
-  console.error('Error initializing TOC immediately:', e);
+/**
+ * Stores preferences for the current site
+ * @param {Object} values - Site preferences to change
+ */
+function saveSiteSettings(values) {
+  TOCSettings.updateSite(SITE_KEY, values).catch(e => {
+    console.error('Error saving site settings:', e);
+  });
 }
 
-// Initialize TOC when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initOnDOMContentLoaded);
-} else {
-  initOnDOMContentLoaded();
+/**
+ * Describes this tab for the background script, which keeps it per tab
+ * @returns {Object} Status as { allowed, rule, headingCount, lastRefresh, version }
+ */
+function getTabStatus() {
+  const decision = settings
+    ? TOCRules.evaluate(window.location.href, settings)
+    : { allowed: false, rule: null };
+  return {
+    allowed: decision.allowed,
+    rule: decision.rule,
+    headingCount: renderedHeadings ? renderedHeadings.length : 0,
+    lastRefresh: window.lastRefreshTime || null,
+    version: window.anyTOC.version
+  };
 }
 
-// Set periodic ping to ensure background knows we're ready
-setInterval(sendPingToBackground, 10000);
+/**
+ * Reports the tab's status to the background script shortly after the TOC changed
+ */
+function scheduleStatusReport() {
+  clearTimeout(statusReportTimer);
+  statusReportTimer = setTimeout(() => {
+    statusReportTimer = null;
+    reportTabStatus();
+  }, STATUS_REPORT_DELAY);
+}
 
 /**
- * Send ping message to background script
+ * Sends the tab's status to the background script
  */
-function sendPingToBackground() {
+function reportTabStatus() {
   try {
     // Check if chrome and chrome.runtime are available
-    if (typeof chrome === 'undefined' || !chrome || !chrome.runtime) {
+    if (typeof chrome === 'undefined' || !chrome || !chrome.runtime || !chrome.runtime.id) {
       // console.log('Chrome runtime unavailable, extension context may be invalid');
       return;
     }
     
-    // Only send ping if current page is allowed
-    if (!isAllowedPage()) {
-      return;
-    }
-    
-    chrome.runtime.sendMessage({ action: ACTIONS.PING }, (response) => {
+    const request = TOCProtocol.createRequest(COMMANDS.REPORT_STATUS, getTabStatus());
+    chrome.runtime.sendMessage(request, (response) => {
       // Check again here in case context was invalidated during the async call
       if (chrome.runtime.lastError) {
-        console.warn('Error sending ping to background:', chrome.runtime.lastError);
+        console.warn('Error sending status to background:', chrome.runtime.lastError);
       } else {
-        // console.log('Background responded to ping:', response);
+        // console.log('Background responded to status report:', response);
       }
     });
   } catch (e) {
-    console.error('Exception sending ping:', e);
-  }
-}
-
-/**
- * Automatically refreshes the TOC multiple times after page load
- * Calls refresh up to 3 times with 5 second intervals until loading element is hidden
- */
-function autoRefreshAfterPageLoad() {
-  let refreshCount = 0;
-  const maxRefreshes = 3;
-  
-  function performRefresh() {
-    const loadingElement = document.getElementById('any-toc-loading');
-    
-    // Stop if we've reached max refreshes or loading element doesn't exist
-    if (refreshCount >= maxRefreshes || !loadingElement) {
-      // console.log(`Auto-refresh complete: ${refreshCount} refreshes performed`);
-      return;
-    }
-    
-    // Stop if loading element is hidden (content already loaded)
-    if (loadingElement.style.display === 'none') {
-      // console.log('Auto-refresh complete: TOC content already loaded');
-      return;
-    }
-    
-    // console.log(`Performing auto-refresh ${refreshCount + 1}/${maxRefreshes}`);
-    refreshTOC(true); // Force refresh
-    refreshCount++;
-    
-    // Schedule next refresh if needed
-    if (refreshCount < maxRefreshes) {
-      // console.log(`Scheduling next auto-refresh in 5 seconds`);
-      setTimeout(performRefresh, 5000);
-    }
+    console.error('Exception sending status:', e);
   }
-  
-  // Start the first refresh
-  performRefresh();
 }
 
 /**
@@ -271,9 +469,6 @@ function initOnDOMContentLoaded() {
     
     initTOC();
     
-    // Start auto-refresh sequence after initialization
-    autoRefreshAfterPageLoad();
-    
     // Try again after a delay if not successful
     initTocTimeout = setTimeout(() => {
       // console.log('Timeout fired, initializing TOC again');
@@ -284,9 +479,6 @@ function initOnDOMContentLoaded() {
           return;
         }
         initTOC();
-        
-        // Try auto-refresh again if needed
-        autoRefreshAfterPageLoad();
       } catch (e) {
         console.error('Error initializing TOC on timeout:', e);
       }
@@ -296,115 +488,67 @@ function initOnDOMContentLoaded() {
   }
 }
 
-// Listen for messages from popup or background script - more comprehensive check
-if (typeof chrome !== 'undefined' && chrome && chrome.runtime && chrome.runtime.onMessage) {
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // console.log('Message received in content script:', message);
-    
-    // Always respond to ping messages to let background know we're alive
-    if (message.action === ACTIONS.PING) {
-      // console.log('Received ping in content script');
-      sendResponse({ 
-        pong: true,
-        allowed: isAllowedPage() // Let background know if page is allowed
-      });
-      return true;
-    }
-    
-    // Handle function calls from popup
-    if (message.action === 'callFunction') {
-      const functionName = message.functionName;
-      const args = message.args || [];
-      
-      // console.log(`Calling function ${functionName} with args:`, args);
-      
-      if (typeof window[functionName] === 'function') {
-        try {
-          const result = window[functionName](...args);
-          // console.log(`Function ${functionName} result:`, result);
-          sendResponse({ 
-            success: true, 
-            result: result 
-          });
-        } catch (e) {
-          console.error(`Error calling function ${functionName}:`, e);
-          sendResponse({ 
-            error: e.message 
-          });
-        }
-      } else {
-        console.error(`Function ${functionName} not found in window object`);
-        sendResponse({ 
-          error: `Function ${functionName} not found` 
-        });
+// Handler for each command of protocol.js that the content script runs.
+// Nothing else can be called by a message.
+const COMMAND_HANDLERS = {
+  // Let background know the script is alive, whether the page is allowed and what the TOC lists
+  [COMMANDS.PING]: () => getTabStatus(),
+  [COMMANDS.GET_HEADINGS]: () => addHeadingNotes(addHeadingLinks(extractHeadings())),
+  [COMMANDS.SCROLL_TO_HEADING]: ({ id, position, text, level, index }) => {
+    if (text !== undefined) {
+      const heading = findAnchoredHeading({ id, text, level, index });
+      if (!heading) {
+        return false;
       }
+      scrollToHeading(heading.id, heading.position);
       return true;
     }
-    
-    // For all other actions, only respond if page is allowed
-    if (!isAllowedPage()) {
-      // console.log('Message action ignored: page not in allowed list');
-      sendResponse({ error: 'TOC not enabled for this page' });
-      return true;
+    if (position === undefined && !getHeadingElement(id)) {
+      return false;
     }
+    scrollToHeading(id, position);
+    return true;
+  },
+  [COMMANDS.TOGGLE]: () => {
+    toggleTOCSidebar();
+    return true;
+  },
+  [COMMANDS.REFRESH]: () => {
+    refreshTOC(true);
+    return true;
+  },
+  [COMMANDS.SET_POSITION]: ({ position }) => {
+    setPosition(position);
+    return true;
+  },
+  [COMMANDS.GET_POSITION]: () => {
+    const geometry = getCurrentPosition();
+    return { position: geometry.position, geometry };
+  },
+  [COMMANDS.SWITCH_SIDE]: () => togglePosition() || null,
+  [COMMANDS.NEXT_HEADING]: () => jumpToAdjacentHeading(1),
+  [COMMANDS.PREVIOUS_HEADING]: () => jumpToAdjacentHeading(-1),
+  [COMMANDS.PARENT_HEADING]: () => jumpToParentHeading(),
+  [COMMANDS.OPEN_PALETTE]: () => openCommandPalette(),
+  [COMMANDS.ALLOW_PAGE]: () => addCurrentDomainToAllowList(),
+  [COMMANDS.DISALLOW_PAGE]: () => removeCurrentDomainFromAllowList()
+};
+
+// Listen for messages from popup or background script - more comprehensive check
+if (typeof chrome !== 'undefined' && chrome && chrome.runtime && chrome.runtime.onMessage) {
+  chrome.runtime.onMessage.addListener(function handleRuntimeMessage(message, sender, sendResponse) {
+    // console.log('Message received in content script:', message);
     
-    // console.log('Message action type:', typeof message.action);
-    // console.log('Message action value:', message.action);
-    // console.log('Comparing with TOGGLE:', message.action === ACTIONS.TOGGLE);
-    // console.log('Comparing with REFRESH:', message.action === ACTIONS.REFRESH);
-    
-    try {
-      switch (message.action) {
-        case ACTIONS.GET_HEADINGS:
-          const headings = extractHeadings();
-          sendResponse(headings);
-          break;
-        
-        case ACTIONS.SCROLL_TO_HEADING:
-          scrollToHeading(message.id, message.position);
-          sendResponse({ success: true });
-          break;
-        
-        case ACTIONS.TOGGLE:
-          // console.log('Toggle TOC message received');
-          // console.log('Toggle action matched successfully');
-          toggleTOCSidebar();
-          sendResponse({ success: true });
-          break;
-        
-        case ACTIONS.REFRESH:
-          // console.log('Refresh TOC message received');
-          // console.log('Refresh action matched successfully');
-          refreshTOC(true);
-          
-          // Start auto-refresh sequence when user manually refreshes
-          if (typeof autoRefreshAfterPageLoad === 'function') {
-            autoRefreshAfterPageLoad();
-          }
-          
-          sendResponse({ success: true });
-          break;
-        
-        case ACTIONS.SET_POSITION:
-          // console.log('Set position message received:', message.position);
-          setPosition(message.position);
-          sendResponse({ success: true });
-          break;
-        
-        case ACTIONS.GET_POSITION:
-          // console.log('Get position message received');
-          const position = getCurrentPosition();
-          sendResponse({ position: position });
-          break;
-        
-        default:
-          console.warn('Unknown action:', message.action);
-          sendResponse({ error: 'Unknown action' });
+    // Wait for settings so that replies such as `allowed` are accurate
+    settingsReady.then(() => {
+      // Commands that need the TOC are refused on pages where it is not enabled
+      return TOCProtocol.dispatch(message, COMMAND_HANDLERS, { enabled: isAllowedPage() });
+    }).then(response => {
+      if (!response.ok) {
+        console.warn(`Command ${message && message.command} failed:`, response.error);
       }
-    } catch (e) {
-      console.error('Error handling message:', e);
-      sendResponse({ error: e.message });
-    }
+      sendResponse(response);
+    });
     
     return true; // Keep connection open to ensure sendResponse works
   });
@@ -413,14 +557,11 @@ if (typeof chrome !== 'undefined' && chrome && chrome.runtime && chrome.runtime.
 /**
  * Refreshes the TOC content
  */
-window.refreshTOC = function(force = false) {
+function refreshTOC(force = false) {
   try {
-    const tocList = document.getElementById('any-toc-list');
-    const loadingElement = document.getElementById('any-toc-loading');
-    const noHeadingsElement = document.getElementById('any-toc-no-headings');
-    
-    // Ensure the function is defined and available as a window property
-    window.refreshTOC = window.refreshTOC || this;
+    const tocList = getTocElement('any-toc-list');
+    const loadingElement = getTocElement('any-toc-loading');
+    const noHeadingsElement = getTocElement('any-toc-no-headings');
     
     if (!tocList || !loadingElement || !noHeadingsElement) {
       console.error('TOC elements not found, cannot refresh');
@@ -439,47 +580,52 @@ window.refreshTOC = function(force = false) {
     
     window.lastRefreshTime = Date.now();
     
-    // Clear existing content
-    tocList.innerHTML = '';
-    loadingElement.style.display = 'block';
-    noHeadingsElement.style.display = 'none';
-    
     // console.log('Refreshing TOC - scanning for headings');
-    // Get headings and build TOC
+    // Get headings and patch the existing entries in place
     const headings = extractHeadings();
     
     if (headings && headings.length > 0) {
-      // console.log(`Found ${headings.length} headings, building TOC`);
+      // console.log(`Found ${headings.length} headings, updating TOC`);
       buildTOC(headings);
       return true;
-    } else {
-      // console.log('No headings found on initial scan, will retry after delay');
-      // Try again after a delay if no headings found initially
-      setTimeout(() => {
-        try {
-          // console.log('Retrying heading extraction');
-          const retryHeadings = extractHeadings();
-          if (retryHeadings && retryHeadings.length > 0) {
-            // console.log(`Found ${retryHeadings.length} headings on retry, building TOC`);
-            buildTOC(retryHeadings);
-          } else {
-            // console.log('No headings found after retry');
-            if (loadingElement && noHeadingsElement) {
-              loadingElement.style.display = 'none';
-              noHeadingsElement.style.display = 'block';
-            }
-          }
-        } catch (e) {
-          console.error('Error during delayed heading extraction:', e);
-        }
-      }, 1500); // 1.5 second delay for retry
+    }
+    
+    // Headings that were listed before have all been removed
+    if (renderedHeadings && renderedHeadings.length > 0) {
+      buildTOC([]);
+      loadingElement.style.display = 'none';
+      noHeadingsElement.style.display = 'block';
       return false;
     }
+    
+    // console.log('No headings found on initial scan, will retry after delay');
+    loadingElement.style.display = 'block';
+    noHeadingsElement.style.display = 'none';
+    
+    // Try again after a delay if no headings found initially; headings added
+    // later are picked up by the content change observer
+    setTimeout(() => {
+      try {
+        // console.log('Retrying heading extraction');
+        const retryHeadings = extractHeadings();
+        if (retryHeadings && retryHeadings.length > 0) {
+          // console.log(`Found ${retryHeadings.length} headings on retry, building TOC`);
+          buildTOC(retryHeadings);
+        } else if (!renderedHeadings || renderedHeadings.length === 0) {
+          // console.log('No headings found after retry');
+          loadingElement.style.display = 'none';
+          noHeadingsElement.style.display = 'block';
+        }
+      } catch (e) {
+        console.error('Error during delayed heading extraction:', e);
+      }
+    }, 1500); // 1.5 second delay for retry
+    return false;
   } catch (e) {
     console.error('Error in refreshTOC:', e);
     return false;
   }
-};
+}
 
 /**
  * Creates and injects the TOC sidebar
@@ -498,12 +644,17 @@ function initTOC() {
   }
 
   // Check if TOC already exists to avoid duplicates
-  if (document.getElementById('any-toc-sidebar')) {
+  if (getTocElement('any-toc-sidebar')) {
     // console.log('TOC sidebar already exists, skipping initialization');
     window.isInitialized = true;
     return;
   }
   
+  // The UI lives in a shadow root so page styles cannot reach it
+  if (!tocRoot) {
+    tocRoot = createTocRoot();
+  }
+  
   // console.log('Creating TOC sidebar elements');
   
   try {
@@ -511,15 +662,35 @@ function initTOC() {
     const tocSidebar = document.createElement('div');
     tocSidebar.id = 'any-toc-sidebar';
     tocSidebar.className = 'any-toc-sidebar';
+    tocSidebar.setAttribute('role', 'navigation');
+    tocSidebar.setAttribute('aria-labelledby', 'any-toc-title');
     
     // Create header with title and controls
     const tocHeader = document.createElement('div');
     tocHeader.className = 'any-toc-header';
     
     const tocTitle = document.createElement('h2');
+    tocTitle.id = 'any-toc-title';
     tocTitle.textContent = 'Table of Contents';
     tocHeader.appendChild(tocTitle);
     
+    // How far through the page the reader is, as a percentage and a bar along the header's edge
+    const pageProgress = document.createElement('div');
+    pageProgress.id = 'any-toc-page-progress';
+    pageProgress.className = 'any-toc-page-progress';
+    pageProgress.setAttribute('role', 'progressbar');
+    pageProgress.setAttribute('aria-label', 'Page read');
+    pageProgress.setAttribute('aria-valuemin', '0');
+    pageProgress.setAttribute('aria-valuemax', '100');
+    const pageProgressLabel = document.createElement('span');
+    pageProgressLabel.className = 'any-toc-page-progress-label';
+    pageProgressLabel.setAttribute('aria-hidden', 'true');
+    const pageProgressBar = document.createElement('span');
+    pageProgressBar.className = 'any-toc-page-progress-bar';
+    pageProgress.appendChild(pageProgressLabel);
+    pageProgress.appendChild(pageProgressBar);
+    tocHeader.appendChild(pageProgress);
+    
     const controlsContainer = document.createElement('div');
     controlsContainer.className = 'any-toc-controls';
     
@@ -527,6 +698,7 @@ function initTOC() {
     const togglePosButton = document.createElement('button');
     togglePosButton.textContent = '⇄';
     togglePosButton.title = 'Toggle Position';
+    togglePosButton.setAttribute('aria-label', togglePosButton.title);
     togglePosButton.className = 'any-toc-button';
     togglePosButton.addEventListener('click', (e) => {
       // console.log('Toggle position button clicked');
@@ -538,16 +710,11 @@ function initTOC() {
     const refreshButton = document.createElement('button');
     refreshButton.textContent = '↻';
     refreshButton.title = 'Refresh TOC';
+    refreshButton.setAttribute('aria-label', refreshButton.title);
     refreshButton.className = 'any-toc-button';
     refreshButton.addEventListener('click', (e) => {
       // console.log('Refresh button clicked');
       refreshTOC(true); // Force refresh
-      
-      // Start auto-refresh sequence when user manually refreshes
-      if (typeof autoRefreshAfterPageLoad === 'function') {
-        autoRefreshAfterPageLoad();
-      }
-      
       e.stopPropagation();
     });
     
@@ -555,19 +722,37 @@ function initTOC() {
     const closeButton = document.createElement('button');
     closeButton.textContent = '✕';
     closeButton.title = 'Close TOC';
+    closeButton.setAttribute('aria-label', closeButton.title);
     closeButton.className = 'any-toc-button';
     closeButton.addEventListener('click', (e) => {
       // console.log('Close button clicked');
       toggleTOCSidebar();
+      // The sidebar is now inert, so keep focus on the button that reopens it
+      collapsedButton.focus();
       e.stopPropagation();
     });
     
+    // Create order button (document order / last heading first)
+    const orderButton = document.createElement('button');
+    orderButton.id = 'any-toc-order-button';
+    orderButton.className = 'any-toc-button';
+    orderButton.addEventListener('click', (e) => {
+      toggleOrder();
+      e.stopPropagation();
+    });
+    
+    controlsContainer.appendChild(orderButton);
     controlsContainer.appendChild(togglePosButton);
     controlsContainer.appendChild(refreshButton);
     controlsContainer.appendChild(closeButton);
     tocHeader.appendChild(controlsContainer);
     
+    // Drag the sidebar around by its header
+    tocHeader.addEventListener('pointerdown', (e) => startSidebarGesture(e, 'move'));
+    
     tocSidebar.appendChild(tocHeader);
+    tocSidebar.appendChild(createTreeToolbar());
+    tocSidebar.appendChild(createPinnedGroup());
     
     // Create container for the TOC list
     const tocContainer = document.createElement('div');
@@ -584,55 +769,82 @@ function initTOC() {
     
     const tocList = document.createElement('ul');
     tocList.id = 'any-toc-list';
+    tocList.setAttribute('role', 'tree');
+    tocList.setAttribute('aria-labelledby', 'any-toc-title');
+    tocList.addEventListener('keydown', handleTreeKeydown);
     
     tocContainer.appendChild(loadingElement);
     tocContainer.appendChild(noHeadingsElement);
     tocContainer.appendChild(tocList);
     
     tocSidebar.appendChild(tocContainer);
+    tocSidebar.appendChild(createResizeHandle('width'));
+    tocSidebar.appendChild(createResizeHandle('height'));
     
     // Create collapsed button that appears when sidebar is closed
-    const collapsedButton = document.createElement('div');
+    const collapsedButton = document.createElement('button');
     collapsedButton.id = 'any-toc-collapsed';
     collapsedButton.className = 'any-toc-collapsed';
     collapsedButton.title = 'Show Table of Contents';
+    collapsedButton.setAttribute('aria-label', collapsedButton.title);
     collapsedButton.textContent = 'TOC';
     collapsedButton.addEventListener('click', (e) => {
       // console.log('Collapsed button clicked');
       toggleTOCSidebar();
+      focusTree();
       e.stopPropagation();
     });
     
-    // Insert the TOC elements into the page
-    // console.log('Appending TOC elements to document body');
-    document.body.appendChild(tocSidebar);
-    document.body.appendChild(collapsedButton);
+    // Live region telling screen readers which section is being read
+    const announcer = document.createElement('div');
+    announcer.id = 'any-toc-announcer';
+    announcer.className = 'any-toc-visually-hidden';
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
     
-    // Save position preference if set
-    const position = localStorage.getItem('any-toc-position');
-    // console.log('Saved position:', position);
-    if (position === 'left') {
-      tocSidebar.classList.add('left');
-      collapsedButton.classList.add('left');
-    }
+    // Insert the TOC elements into the shadow root
+    // console.log('Appending TOC elements to the shadow root');
+    tocRoot.appendChild(tocSidebar);
+    tocRoot.appendChild(collapsedButton);
+    tocRoot.appendChild(announcer);
+    
+    // Apply saved position and size preferences
+    const site = getSiteSettings();
+    // console.log('Saved site settings:', site);
+    window.addEventListener('resize', handleWindowResize);
     
     // Set visibility based on saved preference
-    const visibility = localStorage.getItem('any-toc-visibility');
-    // console.log('Saved visibility:', visibility);
-    if (visibility === 'hidden') {
+    if (site.visibility === 'hidden') {
       tocSidebar.classList.add('hidden');
+      tocSidebar.inert = true;
       collapsedButton.classList.add('visible');
     } else {
       // Make sure collapsed button is not visible by default
       collapsedButton.classList.remove('visible');
     }
     
+    // Placed once visibility is known, since a hidden sidebar reserves no space
+    applyPosition(site.position);
+    
+    // Apply the theme and typography, and follow system color scheme changes
+    applyAppearance();
+    colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    if (colorSchemeQuery) {
+      colorSchemeQuery.addEventListener('change', applyAppearance);
+    }
+    
     // Setup mutation observer to detect content changes
     setupContentChangeDetection();
     
+    // Highlight the section currently being read
+    setupScrollSpy();
+    
     // console.log('TOC initialization completed successfully');
     window.isInitialized = true;
     
+    // Links to sections may name IDs that the first scans assign
+    rememberLinkedHeading();
+    
     // Initial refresh to populate TOC
     refreshTOC(true);
     
@@ -642,55 +854,2988 @@ function initTOC() {
 }
 
 /**
- * Builds the TOC from the extracted headings
- * @param {Array} headings - Array of heading objects
+ * Removes the TOC sidebar from the page, e.g. after the site is disallowed
  */
-function buildTOC(headings) {
-  const tocList = document.getElementById('any-toc-list');
-  const loadingElement = document.getElementById('any-toc-loading');
+function removeTOC() {
+  if (contentObserver) {
+    contentObserver.disconnect();
+    contentObserver = null;
+  }
+  unwatchNestedRoots();
+  cancelContentRefresh();
+  teardownScrollSpy();
+  window.removeEventListener('resize', handleWindowResize);
+  cancelAnimationFrame(windowResizeFrame);
+  windowResizeFrame = null;
+  clearTimeout(windowResizeTimer);
+  windowResizeTimer = null;
+  sidebarGesture = null;
+  restorePageLayout();
+  if (colorSchemeQuery) {
+    colorSchemeQuery.removeEventListener('change', applyAppearance);
+    colorSchemeQuery = null;
+  }
+  clearTimeout(announceTimer);
+  announcedHeadingId = null;
+  clearTimeout(statusReportTimer);
+  statusReportTimer = null;
+  paletteState = null;
   
-  loadingElement.style.display = 'none';
+  if (tocHost) {
+    tocHost.remove();
+  }
+  tocHost = null;
+  tocRoot = null;
   
-  // Create a document fragment for better performance when adding many items
-  const fragment = document.createDocumentFragment();
+  renderedHeadings = null;
+  renderedHeadingMap = new Map();
+  renderedOrder = null;
+  sectionWordCache = new WeakMap();
+  changedWordNodes = new Set();
+  window.isInitialized = false;
+}
+
+/**
+ * Creates the element hosting the TOC's UI and its shadow root, which keeps
+ * page styles out of the sidebar and the sidebar's styles out of the page
+ * @returns {ShadowRoot} The shadow root to build the UI in
+ */
+function createTocRoot() {
+  // Reuse the host of an earlier initialization by this copy if the page
+  // still has it. Hosts of other copies no longer respond to the extension.
+  let existingRoot = null;
+  document.querySelectorAll(TOC_HOST_TAG).forEach(existingHost => {
+    if (!existingRoot && existingHost.dataset.instance === TOC_INSTANCE_ID && existingHost.shadowRoot) {
+      tocHost = existingHost;
+      existingRoot = existingHost.shadowRoot;
+    } else {
+      existingHost.remove();
+    }
+  });
+  if (existingRoot) {
+    return existingRoot;
+  }
   
-  headings.forEach(heading => {
-    const listItem = document.createElement('li');
-    const link = document.createElement('a');
-    
-    // Set the text and class based on heading level
-    link.textContent = heading.text;
-    link.classList.add(`any-toc-h${heading.level}`);
-    link.classList.add('any-toc-link');
-    
-    // Set up click handler to scroll to the heading
-    link.addEventListener('click', () => {
-      // Scroll to the heading
-      scrollToHeading(heading.id, heading.position);
-    });
-    
-    listItem.appendChild(link);
-    fragment.appendChild(listItem);
+  tocHost = document.createElement(TOC_HOST_TAG);
+  tocHost.dataset.instance = TOC_INSTANCE_ID;
+  const root = tocHost.attachShadow({ mode: 'open' });
+  
+  // Keep the UI hidden until its stylesheet applies, so it never shows unstyled
+  tocHost.style.setProperty('visibility', 'hidden', 'important');
+  const host = tocHost;
+  loadTocStylesheet().then(sheet => {
+    root.adoptedStyleSheets = [sheet];
+  }).catch(error => {
+    console.error('Error loading TOC stylesheet:', error);
+  }).finally(() => {
+    host.style.removeProperty('visibility');
   });
   
-  // Use replaceChildren to clear and append in one operation if available
-  if (typeof tocList.replaceChildren === 'function') {
-    tocList.replaceChildren(fragment);
-  } else {
-    tocList.innerHTML = '';
-    tocList.appendChild(fragment);
+  // Attach outside <body> so transforms or overflow on the body cannot move or clip the sidebar
+  document.documentElement.appendChild(tocHost);
+  return root;
+}
+
+/**
+ * Loads content.css as a constructed stylesheet, which page content
+ * security policies do not block the way <link> and <style> can be
+ * @returns {Promise<CSSStyleSheet>} The stylesheet
+ */
+function loadTocStylesheet() {
+  if (!tocStylesheetPromise) {
+    tocStylesheetPromise = fetch(chrome.runtime.getURL('content.css'))
+      .then(response => response.text())
+      .then(css => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        return sheet;
+      });
   }
+  return tocStylesheetPromise;
 }
 
 /**
- * Extracts all h1, h2, h3 headings from the page
- * @returns {Array} An array of heading objects containing text, level, and position
+ * Returns an element of the TOC's UI
+ * @param {string} id - Element ID inside the shadow root
+ * @returns {Element|null} The element, or null before the UI is created
  */
-window.extractHeadings = function() {
-  const headings = [];
-  
-  // Look in multiple possible content containers
+function getTocElement(id) {
+  return tocRoot ? tocRoot.getElementById(id) : null;
+}
+
+/**
+ * Checks whether a node belongs to the TOC's own UI. Events from inside the
+ * shadow root reach the page with the host as their target.
+ * @param {*} node - Node or event target
+ * @returns {boolean} True for the host and anything inside it
+ */
+function isTocUi(node) {
+  if (!tocHost || !node || typeof node.getRootNode !== 'function') {
+    return false;
+  }
+  return node === tocHost || tocHost.contains(node) || node.getRootNode() === tocRoot;
+}
+
+/**
+ * Applies the current site's saved position, visibility, order and depth to the sidebar
+ */
+function applySiteSettings() {
+  const site = getSiteSettings();
+  applyPosition(site.position);
+  applyVisibility(site.visibility !== 'hidden');
+  
+  // Rescan if conversation mode was switched, or re-render the last headings if the order changed
+  if (renderedHeadings && conversationRendered !== isConversationMode()) {
+    refreshTOC(true);
+  } else if (renderedHeadings && renderedOrder !== getEffectiveOrder()) {
+    buildTOC(renderedHeadings);
+  }
+  applyDepthLimit(site.depth);
+  updateOrderButton();
+  updateConversationButton();
+}
+
+/**
+ * Styles the sidebar with the chosen theme, font size, line spacing, density
+ * and accent color. The 'auto' theme matches the page's background, or the
+ * system color scheme when the page sets none.
+ */
+function applyAppearance() {
+  if (!tocHost) {
+    return;
+  }
+  
+  const appearance = settings ? settings.appearance : null;
+  const systemDark = Boolean(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+  const theme = TOCThemes.resolveTheme(TOCThemes.normalizeAppearance(appearance).theme, isPageDark(), systemDark);
+  
+  for (const [name, value] of Object.entries(TOCThemes.getThemeVariables(appearance, theme))) {
+    tocHost.style.setProperty(name, value);
+  }
+}
+
+/**
+ * Tells whether the page has a dark background, from the first of <body>
+ * and <html> that paints one
+ * @returns {boolean|null} True for dark pages, or null if neither sets a background
+ */
+function isPageDark() {
+  for (const element of [document.body, document.documentElement]) {
+    if (!element) {
+      continue;
+    }
+    const color = TOCThemes.parseColor(getComputedStyle(element).backgroundColor);
+    if (color && color.alpha > 0) {
+      return TOCThemes.isDarkColor(color);
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates the toolbar with expand/collapse all buttons and the depth slider
+ * @returns {HTMLElement} The toolbar element
+ */
+function createTreeToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'any-toc-toolbar';
+  
+  const expandAllButton = document.createElement('button');
+  expandAllButton.textContent = '⊞';
+  expandAllButton.title = 'Expand all';
+  expandAllButton.setAttribute('aria-label', expandAllButton.title);
+  expandAllButton.className = 'any-toc-button';
+  expandAllButton.addEventListener('click', (e) => {
+    setAllExpanded(true);
+    e.stopPropagation();
+  });
+  
+  const collapseAllButton = document.createElement('button');
+  collapseAllButton.textContent = '⊟';
+  collapseAllButton.title = 'Collapse all';
+  collapseAllButton.setAttribute('aria-label', collapseAllButton.title);
+  collapseAllButton.className = 'any-toc-button';
+  collapseAllButton.addEventListener('click', (e) => {
+    setAllExpanded(false);
+    e.stopPropagation();
+  });
+  
+  const depthLabel = document.createElement('label');
+  depthLabel.className = 'any-toc-depth';
+  depthLabel.title = 'Show heading levels 1 to N';
+  
+  const depthText = document.createElement('span');
+  depthText.id = 'any-toc-depth-value';
+  
+  const depthSlider = document.createElement('input');
+  depthSlider.type = 'range';
+  depthSlider.id = 'any-toc-depth-slider';
+  depthSlider.min = '1';
+  depthSlider.max = String(MAX_TREE_DEPTH);
+  depthSlider.step = '1';
+  depthSlider.value = String(getSiteSettings().depth);
+  depthText.textContent = `Depth ${depthSlider.value}`;
+  
+  depthSlider.addEventListener('input', () => {
+    applyDepthLimit(Number(depthSlider.value));
+  });
+  depthSlider.addEventListener('change', () => {
+    saveSiteSettings({ depth: Number(depthSlider.value) });
+  });
+  
+  depthLabel.appendChild(depthText);
+  depthLabel.appendChild(depthSlider);
+  
+  const conversationButton = document.createElement('button');
+  conversationButton.id = 'any-toc-conversation-button';
+  conversationButton.textContent = '💬';
+  conversationButton.className = 'any-toc-button';
+  conversationButton.addEventListener('click', (e) => {
+    saveSiteSettings({ conversation: !getSiteSettings().conversation });
+    e.stopPropagation();
+  });
+  
+  const searchButton = document.createElement('button');
+  searchButton.textContent = '🔍';
+  searchButton.title = 'Search headings';
+  searchButton.setAttribute('aria-label', 'Search headings');
+  searchButton.className = 'any-toc-button';
+  searchButton.addEventListener('click', (e) => {
+    openCommandPalette();
+    e.stopPropagation();
+  });
+  // The shortcut can be rebound at any time, so look it up again on hover
+  showPaletteShortcut(searchButton);
+  searchButton.addEventListener('mouseenter', () => showPaletteShortcut(searchButton));
+  
+  const exportButton = document.createElement('button');
+  exportButton.id = 'any-toc-export-button';
+  exportButton.textContent = '⤓';
+  exportButton.title = 'Export outline';
+  exportButton.setAttribute('aria-label', exportButton.title);
+  exportButton.setAttribute('aria-haspopup', 'menu');
+  exportButton.setAttribute('aria-expanded', 'false');
+  exportButton.className = 'any-toc-button';
+  exportButton.addEventListener('click', (e) => {
+    toggleExportMenu();
+    e.stopPropagation();
+  });
+  
+  toolbar.appendChild(expandAllButton);
+  toolbar.appendChild(collapseAllButton);
+  toolbar.appendChild(searchButton);
+  toolbar.appendChild(exportButton);
+  toolbar.appendChild(conversationButton);
+  toolbar.appendChild(depthLabel);
+  toolbar.appendChild(createExportMenu());
+  
+  return toolbar;
+}
+
+/**
+ * Creates the export menu, which copies or downloads the outline in each format
+ * @returns {HTMLElement} The menu element, hidden until the export button opens it
+ */
+function createExportMenu() {
+  const menu = document.createElement('div');
+  menu.id = 'any-toc-export-menu';
+  menu.className = 'any-toc-menu';
+  menu.setAttribute('role', 'menu');
+  menu.setAttribute('aria-label', 'Export outline');
+  menu.hidden = true;
+  
+  const addItem = (label, format, destination) => {
+    const item = document.createElement('button');
+    item.className = 'any-toc-menu-item';
+    item.setAttribute('role', 'menuitem');
+    item.tabIndex = -1;
+    item.textContent = label;
+    item.addEventListener('click', (e) => {
+      closeExportMenu();
+      exportOutline(format, destination);
+      e.stopPropagation();
+    });
+    menu.appendChild(item);
+  };
+  
+  const formats = Object.entries(TOCOutline.FORMATS);
+  formats.forEach(([format, info]) => {
+    addItem(`Copy as ${info.label}`, format, 'clipboard');
+  });
+  
+  const separator = document.createElement('div');
+  separator.className = 'any-toc-menu-separator';
+  separator.setAttribute('role', 'separator');
+  menu.appendChild(separator);
+  
+  formats.forEach(([format, info]) => {
+    addItem(`Download ${info.label} (.${info.extension})`, format, 'file');
+  });
+  
+  menu.addEventListener('keydown', handleExportMenuKeydown);
+  
+  // Close once focus moves anywhere but the menu; the export button's own
+  // click handler deals with clicks on it
+  menu.addEventListener('focusout', (e) => {
+    if (!menu.contains(e.relatedTarget) && e.relatedTarget !== getTocElement('any-toc-export-button')) {
+      closeExportMenu(false);
+    }
+  });
+  
+  return menu;
+}
+
+/**
+ * Opens the export menu, or closes it if it is open
+ */
+function toggleExportMenu() {
+  const menu = getTocElement('any-toc-export-menu');
+  if (!menu) {
+    return;
+  }
+  if (!menu.hidden) {
+    closeExportMenu();
+    return;
+  }
+  
+  menu.hidden = false;
+  getTocElement('any-toc-export-button').setAttribute('aria-expanded', 'true');
+  menu.querySelector('.any-toc-menu-item').focus();
+}
+
+/**
+ * Closes the export menu
+ * @param {boolean} restoreFocus - Whether to move focus back to the export button
+ */
+function closeExportMenu(restoreFocus = true) {
+  const menu = getTocElement('any-toc-export-menu');
+  const exportButton = getTocElement('any-toc-export-button');
+  if (!menu || menu.hidden) {
+    return;
+  }
+  
+  menu.hidden = true;
+  exportButton.setAttribute('aria-expanded', 'false');
+  if (restoreFocus) {
+    exportButton.focus();
+  }
+}
+
+/**
+ * Handles arrow keys, Home, End, Escape and Tab in the export menu
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleExportMenuKeydown(e) {
+  const items = Array.from(e.currentTarget.querySelectorAll('.any-toc-menu-item'));
+  const index = items.indexOf(tocRoot.activeElement);
+  let next = null;
+  
+  switch (e.key) {
+    case 'ArrowDown':
+      next = items[(index + 1) % items.length];
+      break;
+    case 'ArrowUp':
+      next = items[(index - 1 + items.length) % items.length];
+      break;
+    case 'Home':
+      next = items[0];
+      break;
+    case 'End':
+      next = items[items.length - 1];
+      break;
+    case 'Escape':
+      closeExportMenu();
+      break;
+    case 'Tab':
+      closeExportMenu(false);
+      return;
+    default:
+      return;
+  }
+  
+  if (next) {
+    next.focus();
+  }
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Copies the page outline to the clipboard or downloads it as a file. Every
+ * heading is exported in document order, whatever the sidebar's order and depth.
+ * @param {string} format - A key of TOCOutline.FORMATS
+ * @param {string} destination - 'clipboard' or 'file'
+ * @returns {Promise<boolean>} True once the outline was copied or downloaded
+ */
+async function exportOutline(format, destination) {
+  const info = TOCOutline.FORMATS[format];
+  const text = TOCOutline.serialize(format, {
+    title: document.title,
+    url: window.location.href,
+    headings: addHeadingNotes(addHeadingLinks(renderedHeadings || extractHeadings()))
+  });
+  
+  try {
+    if (destination === 'file') {
+      TOCOutline.download(text, TOCOutline.getFileName(document.title, format), info.mimeType);
+      announce(`Outline downloaded as ${info.label}`);
+    } else {
+      await navigator.clipboard.writeText(text);
+      announce(`Outline copied as ${info.label}`);
+    }
+    showExportResult(true);
+    return true;
+  } catch (error) {
+    console.error('Error exporting outline:', error);
+    announce('Could not export the outline');
+    showExportResult(false);
+    return false;
+  }
+}
+
+/**
+ * Briefly shows on the export button whether an export worked
+ * @param {boolean} success - Whether the outline was exported
+ */
+function showExportResult(success) {
+  const exportButton = getTocElement('any-toc-export-button');
+  if (!exportButton) {
+    return;
+  }
+  clearTimeout(exportResultTimer);
+  exportButton.textContent = success ? '✓' : '✕';
+  exportResultTimer = setTimeout(() => {
+    exportButton.textContent = '⤓';
+  }, COPY_RESULT_DURATION);
+}
+
+/**
+ * Adds a link to every heading that opens the page at that heading
+ * @param {Array} headings - Heading objects as returned by extractHeadings
+ * @returns {Array} Copies of the heading objects with a link property
+ */
+function addHeadingLinks(headings) {
+  return headings.map(heading => ({ ...heading, link: getHeadingLink(heading) }));
+}
+
+/**
+ * Builds a link to a heading. Headings with an ID of their own get a plain
+ * fragment link. IDs the TOC assigned only exist while the extension runs,
+ * so their links carry a text fragment too, which browsers that support them
+ * scroll to without the extension. Headings left without an ID get the text
+ * fragment alone.
+ * @param {Object} heading - Heading object from extractHeadings
+ * @returns {string} Absolute URL
+ */
+function getHeadingLink(heading) {
+  const pageUrl = window.location.href.split('#')[0];
+  const element = getHeadingElement(heading.id);
+  const textDirective = getTextDirective(heading);
+  
+  if (element && heading.scope === 'document' && element.id === heading.id) {
+    const fragment = `#${encodeURIComponent(heading.id)}`;
+    if (!assignedIdElements.has(element) || !textDirective) {
+      return pageUrl + fragment;
+    }
+    return `${pageUrl}${fragment}:~:${textDirective}`;
+  }
+  return textDirective ? `${pageUrl}#:~:${textDirective}` : pageUrl;
+}
+
+/**
+ * Builds the text fragment directive finding a heading by its text
+ * @param {Object} heading - Heading object from extractHeadings
+ * @returns {string} Directive such as "text=Getting%20started", or an empty
+ *   string for headings a text fragment cannot find
+ */
+function getTextDirective(heading) {
+  // Text fragments cannot reach into frames, and reply entries have no text of their own
+  const text = heading.fullText || heading.text;
+  if (heading.scope === 'frame' || heading.role === 'assistant' || !text) {
+    return '';
+  }
+  
+  // Long text is matched by its first and last words
+  const encode = part => encodeURIComponent(part).replace(/-/g, '%2D');
+  const words = text.split(' ');
+  const fragment = words.length > 10
+    ? `${encode(words.slice(0, 5).join(' '))},${encode(words.slice(-5).join(' '))}`
+    : encode(text);
+  return `text=${fragment}`;
+}
+
+/**
+ * Copies a link to a heading's section to the clipboard
+ * @param {string} id - Heading ID
+ * @returns {Promise<boolean>} True once the link was copied
+ */
+async function copyHeadingLink(id) {
+  const heading = renderedHeadingMap.get(id);
+  if (!heading) {
+    return false;
+  }
+  
+  try {
+    await navigator.clipboard.writeText(getHeadingLink(heading));
+    announce(`Link to ${heading.text} copied`);
+    return true;
+  } catch (error) {
+    console.error('Error copying link:', error);
+    announce('Could not copy the link');
+    return false;
+  }
+}
+
+/**
+ * Remembers the heading the page URL links to, so it can be scrolled to once
+ * a scan gives it its ID. The browser finds headings with IDs of their own.
+ */
+function rememberLinkedHeading() {
+  let id = '';
+  try {
+    id = decodeURIComponent(window.location.hash.slice(1));
+  } catch (e) {
+    // Malformed escapes cannot name one of our IDs
+  }
+  if (id && !document.getElementById(id)) {
+    pendingLinkedHeading = { id, until: Date.now() + LINKED_HEADING_WAIT };
+  }
+}
+
+/**
+ * Scrolls to the heading the page URL links to once it has been listed
+ */
+function scrollToLinkedHeading() {
+  if (!pendingLinkedHeading) {
+    return;
+  }
+  if (Date.now() > pendingLinkedHeading.until) {
+    pendingLinkedHeading = null;
+    return;
+  }
+  
+  const heading = renderedHeadingMap.get(pendingLinkedHeading.id);
+  if (heading) {
+    pendingLinkedHeading = null;
+    scrollToHeading(heading.id, heading.position);
+  }
+}
+
+/**
+ * Returns whether the current site is a chat app or a regular document
+ * @returns {string} 'chat' or 'document'
+ */
+function getSiteType() {
+  return CHAT_SITES.some(site => TOCRules.matchesSite(window.location.href, site)) ? 'chat' : 'document';
+}
+
+/**
+ * Resolves the site's order setting, where 'auto' lists chat transcripts
+ * newest first and everything else in document order
+ * @returns {string} 'document' or 'reverse'
+ */
+function getEffectiveOrder() {
+  const order = getSiteSettings().order;
+  if (order === 'document' || order === 'reverse') {
+    return order;
+  }
+  return getSiteType() === 'chat' ? 'reverse' : 'document';
+}
+
+/**
+ * Flips between document order and reverse order for the current site
+ */
+function toggleOrder() {
+  saveSiteSettings({ order: getEffectiveOrder() === 'reverse' ? 'document' : 'reverse' });
+}
+
+/**
+ * Updates the order button to describe the current order
+ */
+function updateOrderButton() {
+  const orderButton = getTocElement('any-toc-order-button');
+  if (!orderButton) {
+    return;
+  }
+  
+  const reversed = getEffectiveOrder() === 'reverse';
+  orderButton.textContent = reversed ? '↑' : '↓';
+  orderButton.title = reversed
+    ? 'Showing last heading first (click for document order)'
+    : 'Showing document order (click for last heading first)';
+  orderButton.setAttribute('aria-label', orderButton.title);
+}
+
+/**
+ * Shows the conversation button on chat sites and marks whether the mode is on
+ */
+function updateConversationButton() {
+  const conversationButton = getTocElement('any-toc-conversation-button');
+  if (!conversationButton) {
+    return;
+  }
+  
+  const profile = getSiteProfile();
+  const enabled = getSiteSettings().conversation;
+  conversationButton.style.display = profile && profile.userMessages ? '' : 'none';
+  conversationButton.classList.toggle('any-toc-button-on', enabled);
+  conversationButton.title = enabled
+    ? 'Listing chat turns (click to list headings only)'
+    : 'Listing headings only (click to list chat turns)';
+  conversationButton.setAttribute('aria-label', 'List chat turns');
+  conversationButton.setAttribute('aria-pressed', String(enabled));
+}
+
+/**
+ * Builds the TOC from the extracted headings. Existing entries are matched
+ * to headings by ID and patched in place, so scroll position, expansion
+ * state and focus survive updates.
+ * @param {Array} headings - Array of heading objects in document order, as returned by extractHeadings
+ */
+function buildTOC(headings) {
+  const tocList = getTocElement('any-toc-list');
+  const loadingElement = getTocElement('any-toc-loading');
+  const noHeadingsElement = getTocElement('any-toc-no-headings');
+  
+  if (headings.length > 0) {
+    loadingElement.style.display = 'none';
+    noHeadingsElement.style.display = 'none';
+  }
+  
+  // Remember what was rendered so an order change can re-render without rescanning
+  renderedHeadings = headings;
+  renderedOrder = getEffectiveOrder();
+  renderedHeadingMap = new Map(headings.map(heading => [heading.id, heading]));
+  
+  // Single-page apps change URL without reloading, so saved page data is looked up per render
+  if (pageKey !== TOCAnchors.getPageKey(window.location.href)) {
+    loadPageState();
+  }
+  sectionWordCounts = countSectionWords(headings);
+  
+  // Nest in document order; in reverse order, siblings are listed last-first at
+  // every level so children stay under their parent and the newest sections come first
+  let tree = TOCOutline.buildTree(headings);
+  if (renderedOrder === 'reverse') {
+    tree = reverseTree(tree);
+  }
+  updateOrderButton();
+  updateConversationButton();
+  
+  reconcileTreeList(tocList, tree, 1);
+  updatePinnedHeadings();
+  updateHeadingNotes();
+  
+  applyDepthLimit(getSiteSettings().depth);
+  
+  // Re-mark the section being read, which may have been added or removed
+  activeHeadingId = null;
+  updateActiveHeading();
+  updateRovingTabindex();
+  
+  // Open the section the page URL links to once it has been given its ID
+  scrollToLinkedHeading();
+  
+  scheduleStatusReport();
+}
+
+/**
+ * Reverses the order of siblings at every level of a heading tree
+ * @param {Array} nodes - Tree nodes
+ * @returns {Array} New tree with siblings in reverse order
+ */
+function reverseTree(nodes) {
+  return nodes.slice().reverse().map(node => ({
+    heading: node.heading,
+    children: reverseTree(node.children)
+  }));
+}
+
+/**
+ * Makes a list's items match tree nodes, reusing items whose heading ID is
+ * unchanged and only touching the DOM where something differs
+ * @param {HTMLUListElement} list - List to update
+ * @param {Array} nodes - Tree nodes the list should show, in order
+ * @param {number} depth - Nesting depth of the nodes, starting at 1
+ */
+function reconcileTreeList(list, nodes, depth) {
+  const existingItems = new Map();
+  for (const item of list.children) {
+    existingItems.set(item.dataset.headingId, item);
+  }
+  
+  nodes.forEach((node, index) => {
+    let listItem = existingItems.get(node.heading.id);
+    if (listItem) {
+      existingItems.delete(node.heading.id);
+    } else {
+      listItem = createTreeItem(node.heading);
+    }
+    updateTreeItem(listItem, node, depth);
+    
+    // Move the item only if it is not already in place
+    const current = list.children[index];
+    if (current !== listItem) {
+      list.insertBefore(listItem, current || null);
+    }
+  });
+  
+  // Drop entries whose headings are gone
+  existingItems.forEach(item => item.remove());
+}
+
+/**
+ * Creates an empty list item for a heading; updateTreeItem fills it in
+ * @param {Object} heading - Heading object
+ * @returns {HTMLLIElement} The list item
+ */
+function createTreeItem(heading) {
+  const listItem = document.createElement('li');
+  listItem.className = 'any-toc-item';
+  listItem.dataset.headingId = heading.id;
+  listItem.setAttribute('role', 'treeitem');
+  listItem.tabIndex = -1;
+  
+  const row = document.createElement('div');
+  row.className = 'any-toc-row';
+  
+  // Expand/collapse toggle, or a spacer to keep leaf entries aligned. Screen
+  // readers get the expanded state from the tree item instead.
+  const twisty = document.createElement('span');
+  twisty.className = 'any-toc-twisty';
+  twisty.setAttribute('aria-hidden', 'true');
+  twisty.addEventListener('click', (e) => {
+    if (twisty.classList.contains('any-toc-has-children')) {
+      toggleTreeItem(listItem);
+      e.stopPropagation();
+    }
+  });
+  row.appendChild(twisty);
+  
+  const link = document.createElement('a');
+  link.classList.add('any-toc-link');
+  
+  // Set up click handler to scroll to the heading; look the heading up on
+  // click because updates may have moved it since the entry was created
+  link.addEventListener('click', () => {
+    activateTreeItem(listItem);
+  });
+  
+  // Shown on hover, and always once pinned; keyboard users press P on the entry instead
+  const pinButton = document.createElement('button');
+  pinButton.className = 'any-toc-pin';
+  pinButton.tabIndex = -1;
+  pinButton.setAttribute('aria-hidden', 'true');
+  pinButton.addEventListener('click', (e) => {
+    togglePin(listItem.dataset.headingId);
+    e.stopPropagation();
+  });
+  
+  // Shown on hover, and always once there is a note; keyboard users press N on the entry instead
+  const noteButton = document.createElement('button');
+  noteButton.className = 'any-toc-note';
+  noteButton.textContent = '✎';
+  noteButton.tabIndex = -1;
+  noteButton.setAttribute('aria-hidden', 'true');
+  noteButton.addEventListener('click', (e) => {
+    openNoteEditor(listItem);
+    e.stopPropagation();
+  });
+  
+  // Shown on hover; keyboard users press Ctrl+C on the entry instead
+  const copyLinkButton = document.createElement('button');
+  copyLinkButton.className = 'any-toc-copy-link';
+  copyLinkButton.textContent = '🔗';
+  copyLinkButton.title = 'Copy link to section';
+  copyLinkButton.tabIndex = -1;
+  copyLinkButton.setAttribute('aria-hidden', 'true');
+  copyLinkButton.addEventListener('click', (e) => {
+    copyHeadingLink(listItem.dataset.headingId).then(copied => {
+      copyLinkButton.textContent = copied ? '✓' : '✕';
+      setTimeout(() => {
+        copyLinkButton.textContent = '🔗';
+      }, COPY_RESULT_DURATION);
+    });
+    e.stopPropagation();
+  });
+  
+  // Estimated reading time, and a checkmark once the section has been read
+  const readingTime = document.createElement('span');
+  readingTime.className = 'any-toc-reading-time';
+  const status = document.createElement('span');
+  status.className = 'any-toc-status';
+  status.setAttribute('aria-hidden', 'true');
+  
+  row.appendChild(link);
+  row.appendChild(readingTime);
+  row.appendChild(status);
+  row.appendChild(pinButton);
+  row.appendChild(noteButton);
+  row.appendChild(copyLinkButton);
+  listItem.appendChild(row);
+  
+  // Keep entries the user collapsed collapsed across refreshes
+  if (collapsedHeadingIds.has(heading.id)) {
+    listItem.classList.add('any-toc-collapsed-item');
+  }
+  
+  return listItem;
+}
+
+/**
+ * Brings a list item in line with its tree node, including its children
+ * @param {HTMLLIElement} listItem - Item created by createTreeItem
+ * @param {Object} node - Tree node as { heading, children }
+ * @param {number} depth - Nesting depth of the node, starting at 1
+ */
+function updateTreeItem(listItem, node, depth) {
+  const heading = node.heading;
+  const twisty = listItem.querySelector(':scope > .any-toc-row > .any-toc-twisty');
+  const link = listItem.querySelector(':scope > .any-toc-row > .any-toc-link');
+  
+  if (listItem.dataset.depth !== String(depth)) {
+    listItem.dataset.depth = String(depth);
+    listItem.setAttribute('aria-level', String(depth));
+  }
+  
+  // Set the text and class based on heading level
+  if (link.textContent !== heading.text) {
+    link.textContent = heading.text;
+  }
+  const levelClass = `any-toc-h${heading.level}`;
+  if (!link.classList.contains(levelClass)) {
+    link.className = `any-toc-link ${levelClass}`;
+  }
+  
+  // Chat turns show a role icon and the turn number, with the full prompt on hover
+  if (heading.role) {
+    link.dataset.role = heading.role;
+    link.dataset.turn = String(heading.turn);
+  } else if (link.dataset.role) {
+    delete link.dataset.role;
+    delete link.dataset.turn;
+  }
+  link.title = heading.fullText || '';
+  
+  updateReadingTime(listItem, heading.id);
+  updateReadingState(listItem);
+  
+  // Name the item after its own entry; by default it would include every nested entry
+  const label = heading.role === 'user' ? `Prompt ${heading.turn}: ${heading.text}` : heading.text;
+  if (listItem.getAttribute('aria-label') !== label) {
+    listItem.setAttribute('aria-label', label);
+  }
+  
+  const hasChildren = node.children.length > 0;
+  twisty.classList.toggle('any-toc-has-children', hasChildren);
+  twisty.title = hasChildren ? 'Expand/collapse' : '';
+  
+  let childList = listItem.querySelector(':scope > .any-toc-children');
+  if (hasChildren) {
+    if (!childList) {
+      childList = document.createElement('ul');
+      childList.className = 'any-toc-children';
+      childList.setAttribute('role', 'group');
+      listItem.appendChild(childList);
+    }
+    reconcileTreeList(childList, node.children, depth + 1);
+  } else if (childList) {
+    childList.remove();
+  }
+  updateExpandedState(listItem);
+}
+
+/**
+ * Sets aria-expanded on entries whose children can be shown or hidden
+ * @param {HTMLLIElement} listItem - The entry to update
+ */
+function updateExpandedState(listItem) {
+  if (isExpandable(listItem)) {
+    listItem.setAttribute('aria-expanded', String(!listItem.classList.contains('any-toc-collapsed-item')));
+  } else {
+    listItem.removeAttribute('aria-expanded');
+  }
+}
+
+/**
+ * Checks whether an entry has children that are not cut off by the depth limit
+ * @param {HTMLLIElement} listItem - The entry to check
+ * @returns {boolean} True if the entry can be expanded and collapsed
+ */
+function isExpandable(listItem) {
+  return !!listItem.querySelector(':scope > .any-toc-children') &&
+    !listItem.classList.contains('any-toc-at-depth');
+}
+
+/**
+ * Expands or collapses one tree entry
+ * @param {HTMLLIElement} listItem - The entry to toggle
+ */
+function toggleTreeItem(listItem) {
+  const collapsed = listItem.classList.toggle('any-toc-collapsed-item');
+  if (collapsed) {
+    collapsedHeadingIds.add(listItem.dataset.headingId);
+  } else {
+    collapsedHeadingIds.delete(listItem.dataset.headingId);
+  }
+  updateExpandedState(listItem);
+  
+  // Collapsing may hide the focused entry; move focus up to the collapsed one
+  if (collapsed && listItem.contains(tocRoot.activeElement) && listItem !== tocRoot.activeElement) {
+    focusTreeItem(listItem);
+  }
+}
+
+/**
+ * Expands or collapses every tree entry that has children
+ * @param {boolean} expanded - True to expand, false to collapse
+ */
+function setAllExpanded(expanded) {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  tocList.querySelectorAll('.any-toc-item').forEach(listItem => {
+    if (!listItem.querySelector(':scope > .any-toc-children')) {
+      return;
+    }
+    listItem.classList.toggle('any-toc-collapsed-item', !expanded);
+    if (expanded) {
+      collapsedHeadingIds.delete(listItem.dataset.headingId);
+    } else {
+      collapsedHeadingIds.add(listItem.dataset.headingId);
+    }
+    updateExpandedState(listItem);
+  });
+  updateRovingTabindex();
+}
+
+/**
+ * Hides tree entries nested deeper than the given depth
+ * @param {number} maxDepth - Deepest level to show, starting at 1
+ */
+function applyDepthLimit(maxDepth) {
+  const tocList = getTocElement('any-toc-list');
+  const depthSlider = getTocElement('any-toc-depth-slider');
+  const depthText = getTocElement('any-toc-depth-value');
+  
+  if (depthSlider) {
+    depthSlider.value = String(maxDepth);
+  }
+  if (depthText) {
+    depthText.textContent = `Depth ${maxDepth}`;
+  }
+  if (!tocList) {
+    return;
+  }
+  
+  tocList.querySelectorAll('.any-toc-item').forEach(listItem => {
+    const depth = Number(listItem.dataset.depth);
+    listItem.classList.toggle('any-toc-beyond-depth', depth > maxDepth);
+    // Entries at the depth limit have no visible children to toggle
+    listItem.classList.toggle('any-toc-at-depth', depth === maxDepth);
+    updateExpandedState(listItem);
+  });
+  
+  // The active entry may now be hidden or visible again
+  if (activeHeadingId) {
+    markActiveEntry(activeHeadingId);
+  }
+  updateRovingTabindex();
+}
+
+/**
+ * Handles keyboard navigation in the TOC tree: arrow keys move between
+ * entries, Left/Right collapse and expand, Home/End go to the first and
+ * last entry, Enter or Space jumps to the entry's heading and Ctrl+C
+ * (Cmd+C on macOS) copies a link to it
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleTreeKeydown(e) {
+  const listItem = e.target.closest && e.target.closest('.any-toc-item');
+  if (!listItem || e.altKey) {
+    return;
+  }
+  
+  if (e.ctrlKey || e.metaKey) {
+    if (e.key.toLowerCase() === 'c' && !e.shiftKey) {
+      copyHeadingLink(listItem.dataset.headingId);
+      e.preventDefault();
+      e.stopPropagation();
+    }
+    return;
+  }
+  
+  const items = getVisibleTreeItems();
+  const index = items.indexOf(listItem);
+  const expanded = isExpandable(listItem) && !listItem.classList.contains('any-toc-collapsed-item');
+  
+  switch (e.key) {
+    case 'ArrowDown':
+      focusTreeItem(items[index + 1]);
+      break;
+    case 'ArrowUp':
+      focusTreeItem(items[index - 1]);
+      break;
+    case 'Home':
+      focusTreeItem(items[0]);
+      break;
+    case 'End':
+      focusTreeItem(items[items.length - 1]);
+      break;
+    case 'ArrowRight':
+      if (expanded) {
+        focusTreeItem(items[index + 1]);
+      } else if (isExpandable(listItem)) {
+        toggleTreeItem(listItem);
+      }
+      break;
+    case 'ArrowLeft':
+      if (expanded) {
+        toggleTreeItem(listItem);
+      } else {
+        focusTreeItem(listItem.parentElement.closest('.any-toc-item'));
+      }
+      break;
+    case 'Enter':
+    case ' ':
+      activateTreeItem(listItem);
+      break;
+    case 'p':
+    case 'P':
+      togglePin(listItem.dataset.headingId);
+      break;
+    case 'n':
+    case 'N':
+      openNoteEditor(listItem);
+      break;
+    default:
+      return;
+  }
+  
+  // Keep handled keys from scrolling the list or reaching the page's own shortcuts
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Lists the tree entries a reader can currently see, top to bottom
+ * @returns {Array<HTMLLIElement>} Entries not hidden by a collapsed parent or the depth limit
+ */
+function getVisibleTreeItems() {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return [];
+  }
+  
+  return Array.from(tocList.querySelectorAll('.any-toc-item')).filter(listItem =>
+    !listItem.classList.contains('any-toc-beyond-depth') &&
+    !listItem.parentElement.closest('.any-toc-collapsed-item')
+  );
+}
+
+/**
+ * Makes an entry the one Tab reaches in the tree, and focuses it
+ * @param {HTMLLIElement|null} listItem - Entry to focus; ignored if missing
+ */
+function focusTreeItem(listItem) {
+  if (!listItem) {
+    return;
+  }
+  setRovingItem(listItem);
+  listItem.focus();
+}
+
+/**
+ * Moves focus into the tree, to the entry Tab would reach
+ */
+function focusTree() {
+  const tocList = getTocElement('any-toc-list');
+  const listItem = tocList && tocList.querySelector('.any-toc-item[tabindex="0"]');
+  if (listItem) {
+    listItem.focus();
+  }
+}
+
+/**
+ * Gives an entry the tree's single tab stop (roving tabindex)
+ * @param {HTMLLIElement} listItem - The entry
+ */
+function setRovingItem(listItem) {
+  const tocList = getTocElement('any-toc-list');
+  tocList.querySelectorAll('.any-toc-item[tabindex="0"]').forEach(item => {
+    if (item !== listItem) {
+      item.tabIndex = -1;
+    }
+  });
+  listItem.tabIndex = 0;
+}
+
+/**
+ * Makes sure exactly one visible entry is reachable by Tab. While focus is
+ * outside the tree the tab stop follows the section being read.
+ */
+function updateRovingTabindex() {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  const items = getVisibleTreeItems();
+  const current = tocList.querySelector('.any-toc-item[tabindex="0"]');
+  const hasFocus = tocList.contains(tocRoot.activeElement);
+  
+  if (hasFocus && current && items.includes(current)) {
+    return;
+  }
+  
+  const activeItem = tocList.querySelector('.any-toc-item.any-toc-active');
+  const target = (activeItem && items.includes(activeItem) && activeItem) ||
+    (current && items.includes(current) && current) ||
+    items[0];
+  if (!target) {
+    return;
+  }
+  
+  if (hasFocus) {
+    // The focused entry was hidden; keep focus inside the tree
+    focusTreeItem(target);
+  } else {
+    setRovingItem(target);
+  }
+}
+
+/**
+ * Jumps to the heading of an entry
+ * @param {HTMLLIElement} listItem - The entry; its heading is looked up now
+ *   because updates may have moved it since the entry was created
+ */
+function activateTreeItem(listItem) {
+  const current = renderedHeadingMap.get(listItem.dataset.headingId);
+  if (current) {
+    setRovingItem(listItem);
+    scrollToHeading(current.id, current.position);
+  }
+}
+
+/**
+ * Opens the command palette for jumping to a heading by typing part of its
+ * text. Works while the sidebar is collapsed.
+ * @returns {boolean} True if the palette was opened
+ */
+function openCommandPalette() {
+  if (!tocRoot) {
+    return false;
+  }
+  
+  const palette = getTocElement('any-toc-palette') || createCommandPalette();
+  const input = getTocElement('any-toc-palette-input');
+  
+  if (!paletteState) {
+    // Search fresh headings, since the sidebar may be hidden and out of date
+    const headings = extractHeadings();
+    const paths = getHeadingPaths(headings);
+    paletteState = {
+      entries: headings.map(heading => ({ heading, path: paths.get(heading.id) })),
+      matches: [],
+      selectedIndex: 0,
+      previousFocus: document.activeElement
+    };
+    input.value = '';
+    updatePaletteResults();
+  }
+  
+  palette.classList.remove('any-toc-palette-hidden');
+  input.focus();
+  return true;
+}
+
+/**
+ * Shows the palette's keyboard shortcut, as currently bound, in the search
+ * button's tooltip. Only the background script can read the bindings.
+ * @param {HTMLElement} button - The search button
+ */
+function showPaletteShortcut(button) {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+    return;
+  }
+  
+  const request = TOCProtocol.createRequest(COMMANDS.GET_SHORTCUT, { command: COMMANDS.OPEN_PALETTE });
+  chrome.runtime.sendMessage(request)
+    .then(TOCProtocol.unwrap)
+    .then(shortcut => {
+      button.title = shortcut ? `Search headings (${shortcut})` : 'Search headings';
+    })
+    .catch(error => {
+      console.warn('Error loading the search shortcut:', error);
+    });
+}
+
+/**
+ * Closes the command palette
+ * @param {boolean} [restoreFocus=true] - Return focus to where it was before the palette opened
+ */
+function closeCommandPalette(restoreFocus = true) {
+  const palette = getTocElement('any-toc-palette');
+  if (!palette || !paletteState) {
+    return;
+  }
+  
+  const previousFocus = paletteState.previousFocus;
+  paletteState = null;
+  palette.classList.add('any-toc-palette-hidden');
+  
+  if (restoreFocus && previousFocus && previousFocus.isConnected && previousFocus !== document.body) {
+    previousFocus.focus({ preventScroll: true });
+  } else if (document.activeElement === tocHost) {
+    tocHost.blur();
+  }
+}
+
+/**
+ * Creates the command palette overlay inside the TOC's shadow root
+ * @returns {HTMLElement} The overlay element
+ */
+function createCommandPalette() {
+  const palette = document.createElement('div');
+  palette.id = 'any-toc-palette';
+  palette.className = 'any-toc-palette any-toc-palette-hidden';
+  
+  const dialog = document.createElement('div');
+  dialog.className = 'any-toc-palette-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-label', 'Jump to heading');
+  
+  const input = document.createElement('input');
+  input.id = 'any-toc-palette-input';
+  input.type = 'text';
+  input.placeholder = 'Jump to heading...';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.addEventListener('input', updatePaletteResults);
+  
+  const results = document.createElement('ul');
+  results.id = 'any-toc-palette-results';
+  
+  const hint = document.createElement('div');
+  hint.className = 'any-toc-palette-hint';
+  hint.textContent = '↑↓ to move · Enter to jump · Esc to close';
+  
+  dialog.appendChild(input);
+  dialog.appendChild(results);
+  dialog.appendChild(hint);
+  palette.appendChild(dialog);
+  
+  // Clicking the backdrop closes the palette
+  palette.addEventListener('mousedown', (e) => {
+    if (e.target === palette) {
+      e.preventDefault();
+      closeCommandPalette();
+    }
+  });
+  
+  palette.addEventListener('keydown', handlePaletteKeydown);
+  
+  // Keep typing in the palette from triggering the page's own shortcuts
+  ['keyup', 'keypress'].forEach(type => {
+    palette.addEventListener(type, e => e.stopPropagation());
+  });
+  
+  tocRoot.appendChild(palette);
+  return palette;
+}
+
+/**
+ * Handles navigation keys in the command palette
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handlePaletteKeydown(e) {
+  e.stopPropagation();
+  if (!paletteState) {
+    return;
+  }
+  
+  switch (e.key) {
+    case 'ArrowDown':
+      selectPaletteResult(paletteState.selectedIndex + 1);
+      e.preventDefault();
+      break;
+    case 'ArrowUp':
+      selectPaletteResult(paletteState.selectedIndex - 1);
+      e.preventDefault();
+      break;
+    case 'Enter':
+      jumpToPaletteResult(paletteState.selectedIndex);
+      e.preventDefault();
+      break;
+    case 'Escape':
+      closeCommandPalette();
+      e.preventDefault();
+      break;
+  }
+}
+
+/**
+ * Matches the palette's query against the headings and lists the results.
+ * Without a query every heading is listed in document order.
+ */
+function updatePaletteResults() {
+  if (!paletteState) {
+    return;
+  }
+  
+  const query = getTocElement('any-toc-palette-input').value.trim();
+  let matches;
+  if (query) {
+    // Best matches first; the sort is stable, so ties stay in document order
+    matches = paletteState.entries
+      .map(entry => ({ ...entry, match: fuzzyMatch(query, entry.heading.text) }))
+      .filter(entry => entry.match)
+      .sort((a, b) => b.match.score - a.match.score);
+  } else {
+    matches = paletteState.entries.map(entry => ({ ...entry, match: null }));
+  }
+  paletteState.matches = matches.slice(0, PALETTE_MAX_RESULTS);
+  
+  const results = getTocElement('any-toc-palette-results');
+  results.replaceChildren();
+  
+  if (paletteState.matches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'any-toc-palette-empty';
+    empty.textContent = paletteState.entries.length === 0 ? 'No headings found' : 'No matching headings';
+    results.appendChild(empty);
+  }
+  
+  paletteState.matches.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'any-toc-palette-item';
+    
+    const text = document.createElement('div');
+    text.className = 'any-toc-palette-text';
+    appendHighlightedText(text, entry.heading.text, entry.match ? entry.match.indices : []);
+    item.appendChild(text);
+    
+    if (entry.path.length > 0) {
+      const path = document.createElement('div');
+      path.className = 'any-toc-palette-path';
+      path.textContent = entry.path.join(' › ');
+      item.appendChild(path);
+    }
+    
+    item.addEventListener('mousemove', () => {
+      if (paletteState && paletteState.selectedIndex !== index) {
+        selectPaletteResult(index);
+      }
+    });
+    item.addEventListener('click', () => jumpToPaletteResult(index));
+    results.appendChild(item);
+  });
+  
+  selectPaletteResult(0);
+}
+
+/**
+ * Marks a palette result as selected and scrolls it into view
+ * @param {number} index - Index of the result; clamped to the list
+ */
+function selectPaletteResult(index) {
+  const items = getTocElement('any-toc-palette-results').querySelectorAll('.any-toc-palette-item');
+  if (items.length === 0) {
+    paletteState.selectedIndex = 0;
+    return;
+  }
+  
+  paletteState.selectedIndex = Math.max(0, Math.min(index, items.length - 1));
+  items.forEach((item, i) => {
+    item.classList.toggle('any-toc-palette-selected', i === paletteState.selectedIndex);
+  });
+  items[paletteState.selectedIndex].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Closes the palette and scrolls to the heading of a result
+ * @param {number} index - Index of the result
+ */
+function jumpToPaletteResult(index) {
+  const entry = paletteState && paletteState.matches[index];
+  if (!entry) {
+    return;
+  }
+  
+  closeCommandPalette(false);
+  scrollToHeading(entry.heading.id, entry.heading.position);
+}
+
+/**
+ * Lists the texts of each heading's ancestors, outermost first
+ * @param {Array} headings - Heading objects in document order
+ * @returns {Map<string, Array<string>>} Ancestor texts by heading ID
+ */
+function getHeadingPaths(headings) {
+  const paths = new Map();
+  const stack = [];
+  
+  headings.forEach(heading => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    paths.set(heading.id, stack.map(ancestor => ancestor.text));
+    stack.push(heading);
+  });
+  
+  return paths;
+}
+
+/**
+ * Matches a query against text, allowing characters to be skipped. A
+ * contiguous match beats a scattered one, and matches at the start of words
+ * score higher.
+ * @param {string} query - Text typed by the user
+ * @param {string} text - Heading text
+ * @returns {Object|null} { score, indices } with the matched character positions, or null
+ */
+function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) {
+    return null;
+  }
+  
+  const isWordStart = index => index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1]);
+  
+  // A contiguous match, preferably at a word start
+  let start = -1;
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+    if (start === -1 || isWordStart(index)) {
+      start = index;
+      if (isWordStart(index)) {
+        break;
+      }
+    }
+  }
+  if (start !== -1) {
+    const indices = Array.from(needle, (char, offset) => start + offset);
+    const score = 100 + needle.length * 2 + (isWordStart(start) ? 20 : 0) + (start === 0 ? 10 : 0);
+    return { score, indices };
+  }
+  
+  // Otherwise each character in order, with bonuses for runs and word starts
+  const indices = [];
+  let score = 0;
+  let position = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+    
+    score += 1;
+    if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+      score += 3;
+    }
+    if (isWordStart(index)) {
+      score += 5;
+    }
+    indices.push(index);
+    position = index + 1;
+  }
+  
+  // Matches spread over a long stretch of text score lower
+  score -= (indices[indices.length - 1] - indices[0]) * 0.1;
+  return { score, indices };
+}
+
+/**
+ * Appends text to an element, wrapping the matched characters in <mark>
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Text to show
+ * @param {Array<number>} indices - Positions of matched characters, ascending
+ */
+function appendHighlightedText(element, text, indices) {
+  const matched = new Set(indices);
+  let run = '';
+  let runMatched = false;
+  
+  const flush = () => {
+    if (!run) {
+      return;
+    }
+    if (runMatched) {
+      const mark = document.createElement('mark');
+      mark.textContent = run;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+  
+  for (let index = 0; index < text.length; index++) {
+    const isMatched = matched.has(index);
+    if (isMatched !== runMatched) {
+      flush();
+      runMatched = isMatched;
+    }
+    run += text[index];
+  }
+  flush();
+}
+
+/**
+ * Starts tracking which section is being read. Scroll events are captured
+ * at the document so inner scrolling containers used by chat apps count too.
+ */
+function setupScrollSpy() {
+  document.addEventListener('scroll', scheduleScrollSpyUpdate, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleScrollSpyUpdate, { passive: true });
+  window.addEventListener('pagehide', flushReadingProgress);
+}
+
+/**
+ * Stops tracking the section being read
+ */
+function teardownScrollSpy() {
+  document.removeEventListener('scroll', scheduleScrollSpyUpdate, { capture: true });
+  window.removeEventListener('resize', scheduleScrollSpyUpdate);
+  window.removeEventListener('pagehide', flushReadingProgress);
+  flushReadingProgress();
+  
+  if (scrollSpyFrame) {
+    cancelAnimationFrame(scrollSpyFrame);
+    scrollSpyFrame = null;
+  }
+  releaseJumpLock();
+  activeHeadingId = null;
+  pageKey = null;
+  savedReadingProgress = null;
+  readingScroller = null;
+}
+
+/**
+ * Updates the active section at most once per animation frame
+ * @param {Event} [event] - The scroll or resize event
+ */
+function scheduleScrollSpyUpdate(event) {
+  // Scrolling the TOC list itself does not change the section being read
+  if (event && isTocUi(event.target)) {
+    return;
+  }
+  
+  // Page progress follows whatever was scrolled: the document or an inner container
+  if (event && event.type === 'scroll') {
+    readingScroller = isReadingScroller(event.target) ? event.target : null;
+    scheduleReadingProgressSave();
+  }
+  
+  // While a jump is animating, wait until scrolling settles
+  if (jumpLock) {
+    clearTimeout(jumpLock.idleTimer);
+    jumpLock.idleTimer = setTimeout(releaseJumpLock, SCROLL_SPY_IDLE_DELAY);
+    return;
+  }
+  
+  if (!scrollSpyFrame) {
+    scrollSpyFrame = requestAnimationFrame(() => {
+      scrollSpyFrame = null;
+      updateActiveHeading();
+    });
+  }
+}
+
+/**
+ * Finds the heading being read: the last one whose top has scrolled past
+ * the activation line near the top of the viewport
+ * @param {Array} [headings=renderedHeadings] - Headings to choose from
+ * @param {boolean} [fallbackToFirst=true] - Above the first heading, return the first one instead of null
+ * @returns {string|null} ID of the active heading
+ */
+function findActiveHeadingId(headings = renderedHeadings, fallbackToFirst = true) {
+  if (!headings || headings.length === 0) {
+    return null;
+  }
+  
+  const activationLine = window.innerHeight * SCROLL_SPY_ACTIVATION_RATIO;
+  let activeId = null;
+  let firstVisibleId = null;
+  
+  for (const heading of headings) {
+    const element = getHeadingElement(heading.id);
+    if (!element) {
+      continue;
+    }
+    
+    const rect = getRectInWindow(element);
+    // Skip headings that are not rendered (e.g. inside collapsed page sections)
+    if (rect.width === 0 && rect.height === 0) {
+      continue;
+    }
+    
+    if (!firstVisibleId) {
+      firstVisibleId = heading.id;
+    }
+    if (rect.top <= activationLine) {
+      activeId = heading.id;
+    }
+  }
+  
+  // Above the first heading, treat the first one as active
+  return activeId || (fallbackToFirst ? firstVisibleId : null);
+}
+
+/**
+ * Recomputes the active section and marks it in the TOC
+ */
+function updateActiveHeading() {
+  if (jumpLock) {
+    return;
+  }
+  
+  const id = findActiveHeadingId();
+  if (id && id !== activeHeadingId) {
+    // Scrolling from one section to a later one reads the sections in between
+    markSectionsRead(activeHeadingId, id);
+    markActiveEntry(id);
+    
+    // The place the last visit stopped needs no marker once the reader is back there
+    if (id === resumeHeadingId) {
+      resumeHeadingId = null;
+      refreshReadingState([id]);
+    }
+  }
+  updateReadingProgress();
+}
+
+/**
+ * Marks the TOC entry of a heading as active, expanding its ancestors and
+ * scrolling it into view inside the TOC container
+ * @param {string} id - ID of the heading
+ */
+function markActiveEntry(id) {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  activeHeadingId = id;
+  
+  let listItem = tocList.querySelector(`.any-toc-item[data-heading-id="${CSS.escape(id)}"]`);
+  if (!listItem) {
+    return;
+  }
+  
+  // Reveal the entry by expanding every collapsed ancestor
+  for (let ancestor = listItem.parentElement.closest('.any-toc-item'); ancestor;
+    ancestor = ancestor.parentElement.closest('.any-toc-item')) {
+    if (ancestor.classList.contains('any-toc-collapsed-item')) {
+      ancestor.classList.remove('any-toc-collapsed-item');
+      collapsedHeadingIds.delete(ancestor.dataset.headingId);
+    }
+  }
+  
+  // Entries hidden by the depth limit are represented by their nearest shown ancestor
+  while (listItem.classList.contains('any-toc-beyond-depth')) {
+    const parentItem = listItem.parentElement.closest('.any-toc-item');
+    if (!parentItem) {
+      break;
+    }
+    listItem = parentItem;
+  }
+  
+  tocList.querySelectorAll('.any-toc-active').forEach(item => {
+    if (item !== listItem) {
+      item.classList.remove('any-toc-active');
+      item.removeAttribute('aria-current');
+    }
+  });
+  listItem.classList.add('any-toc-active');
+  listItem.setAttribute('aria-current', 'location');
+  
+  scrollEntryIntoView(listItem);
+  updateRovingTabindex();
+  scheduleSectionAnnouncement(id);
+}
+
+/**
+ * Tells screen readers which section is being read once the reader stops
+ * on it, so scrolling past headings does not flood them with announcements
+ * @param {string} id - ID of the active heading
+ */
+function scheduleSectionAnnouncement(id) {
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(() => {
+    const announcer = getTocElement('any-toc-announcer');
+    const tocSidebar = getTocElement('any-toc-sidebar');
+    const heading = renderedHeadingMap.get(id);
+    
+    // Stay quiet while the sidebar is closed
+    if (!announcer || !heading || id === announcedHeadingId || tocSidebar.classList.contains('hidden')) {
+      return;
+    }
+    announcedHeadingId = id;
+    announce(`Current section: ${heading.text}`);
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Reads a message out to screen readers through the live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  const announcer = getTocElement('any-toc-announcer');
+  if (announcer) {
+    announcer.textContent = message;
+  }
+}
+
+/**
+ * Scrolls the TOC container, never the page, so an entry's row is visible
+ * @param {HTMLLIElement} listItem - The entry to reveal
+ */
+function scrollEntryIntoView(listItem) {
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const container = tocSidebar && tocSidebar.querySelector('.any-toc-container');
+  const row = listItem.querySelector(':scope > .any-toc-row');
+  
+  // Leave the list alone while the reader is using the sidebar or it is hidden
+  if (!container || !row || tocSidebar.classList.contains('hidden') || tocSidebar.matches(':hover')) {
+    return;
+  }
+  
+  const containerRect = container.getBoundingClientRect();
+  const rowRect = row.getBoundingClientRect();
+  const margin = rowRect.height;
+  
+  if (rowRect.top < containerRect.top) {
+    container.scrollTop -= containerRect.top - rowRect.top + margin;
+  } else if (rowRect.bottom > containerRect.bottom) {
+    container.scrollTop += rowRect.bottom - containerRect.bottom + margin;
+  }
+}
+
+/**
+ * Marks a heading active right away after a jump and holds it while the
+ * smooth scroll passes over other headings
+ * @param {string} id - ID of the heading jumped to
+ */
+function lockActiveHeading(id) {
+  releaseJumpLock();
+  markActiveEntry(id);
+  
+  jumpLock = {
+    idleTimer: setTimeout(releaseJumpLock, SCROLL_SPY_IDLE_DELAY),
+    // Give up waiting if the page never scrolls, e.g. the heading was already in view
+    maxTimer: setTimeout(releaseJumpLock, SCROLL_SPY_MAX_LOCK)
+  };
+}
+
+/**
+ * Ends the hold placed by lockActiveHeading and resumes tracking
+ */
+function releaseJumpLock() {
+  if (!jumpLock) {
+    return;
+  }
+  
+  clearTimeout(jumpLock.idleTimer);
+  clearTimeout(jumpLock.maxTimer);
+  jumpLock = null;
+  updateActiveHeading();
+}
+
+/**
+ * Loads what was saved about the current URL: reading progress and pins
+ */
+function loadPageState() {
+  // Keep what was read on the previous URL of a single-page app
+  flushReadingProgress();
+  
+  pageKey = TOCAnchors.getPageKey(window.location.href);
+  loadReadingProgress();
+  pinnedAnchors = loadPageAnchors('pins');
+  noteAnchors = loadPageAnchors('notes');
+}
+
+/**
+ * Loads the sections read on an earlier visit to this page and where it stopped
+ */
+function loadReadingProgress() {
+  const saved = ((settings && settings.readingProgress) || {})[pageKey];
+  readHeadingIds = new Set(saved && Array.isArray(saved.read) ? saved.read : []);
+  resumeHeadingId = (saved && saved.lastId) || null;
+  savedReadingProgress = { readCount: readHeadingIds.size, lastId: resumeHeadingId };
+}
+
+/**
+ * Counts the words between each heading and the next one in the same
+ * document or shadow root. Only sections that changed since the last count
+ * are walked again.
+ * @param {Array} headings - Heading objects in document order
+ * @returns {Map} Word counts keyed by heading ID
+ */
+function countSectionWords(headings) {
+  const counts = new Map();
+  const headingIds = new Map();
+  // Heading elements of each root, in document order
+  const rootHeadings = new Map();
+  
+  headings.forEach(heading => {
+    const element = getHeadingElement(heading.id);
+    if (element) {
+      headingIds.set(element, heading.id);
+      const root = element.getRootNode();
+      if (!rootHeadings.has(root)) {
+        rootHeadings.set(root, []);
+      }
+      rootHeadings.get(root).push(element);
+    }
+  });
+  
+  invalidateChangedSections(rootHeadings);
+  
+  rootHeadings.forEach((elements, root) => {
+    elements.forEach((element, index) => {
+      // A section also changes when a heading is added or removed after it
+      const next = elements[index + 1] || null;
+      let cached = sectionWordCache.get(element);
+      if (!cached || cached.next !== next) {
+        cached = { words: countWordsUntil(root, element, next), next };
+        sectionWordCache.set(element, cached);
+      }
+      counts.set(headingIds.get(element), cached.words);
+    });
+  });
+  
+  return counts;
+}
+
+/**
+ * Counts the words after a heading, up to the next heading
+ * @param {Document|ShadowRoot} root - Root the heading is in
+ * @param {Element} heading - Heading starting the section
+ * @param {Element|null} next - Heading ending the section, or null for the end of the root
+ * @returns {number} Number of words, including the heading's own
+ */
+function countWordsUntil(root, heading, next) {
+  const container = root.body || root;
+  if (!container || typeof root.createTreeWalker !== 'function') {
+    return 0;
+  }
+  
+  const walker = root.createTreeWalker(container, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return NodeFilter.FILTER_ACCEPT;
+      }
+      // Skip code that never renders and the TOC itself
+      return UNREAD_TEXT_TAGS.has(node.nodeName.toUpperCase()) || node === tocHost ?
+        NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  walker.currentNode = heading;
+  
+  let words = 0;
+  for (let node = walker.nextNode(); node && node !== next; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const matches = node.nodeValue.match(/\S+/g);
+      if (matches) {
+        words += matches.length;
+      }
+    }
+  }
+  return words;
+}
+
+/**
+ * Remembers which nodes the page changed, so their sections are counted again
+ * @param {Array<MutationRecord>} mutations - Records from the content observer
+ */
+function recordWordChanges(mutations) {
+  if (allSectionWordsChanged) {
+    return;
+  }
+  
+  for (const mutation of mutations) {
+    if (mutation.type === 'attributes' || isTocUi(mutation.target)) {
+      continue;
+    }
+    changedWordNodes.add(mutation.target);
+    if (changedWordNodes.size > WORD_CHANGE_LIMIT) {
+      allSectionWordsChanged = true;
+      changedWordNodes.clear();
+      return;
+    }
+  }
+}
+
+/**
+ * Drops the cached counts of sections containing changed nodes: the section
+ * a node starts in, and those of any headings inside it
+ * @param {Map} rootHeadings - Heading elements of each root, in document order
+ */
+function invalidateChangedSections(rootHeadings) {
+  if (allSectionWordsChanged) {
+    sectionWordCache = new WeakMap();
+    allSectionWordsChanged = false;
+    return;
+  }
+  
+  changedWordNodes.forEach(node => {
+    const elements = node.isConnected ? rootHeadings.get(node.getRootNode()) : null;
+    if (!elements) {
+      return;
+    }
+    
+    // Number of headings at or before the node, including one containing it
+    let low = 0;
+    let high = elements.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (elements[middle] === node ||
+          (elements[middle].compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    
+    for (let i = Math.max(low - 1, 0); i < elements.length; i++) {
+      if (i >= low && !node.contains(elements[i])) {
+        break;
+      }
+      sectionWordCache.delete(elements[i]);
+    }
+  });
+  changedWordNodes.clear();
+}
+
+/**
+ * Shows how long an entry's section takes to read, leaving it blank for
+ * sections shorter than a minute
+ * @param {HTMLLIElement} listItem - The entry to update
+ * @param {string} id - ID of the entry's heading
+ */
+function updateReadingTime(listItem, id) {
+  const readingTime = listItem.querySelector(':scope > .any-toc-row > .any-toc-reading-time');
+  const words = sectionWordCounts.get(id) || 0;
+  const minutes = Math.round(words / READING_WORDS_PER_MINUTE);
+  const text = minutes >= 1 ? `${minutes} min` : '';
+  
+  if (readingTime.textContent !== text) {
+    readingTime.textContent = text;
+    readingTime.title = text ? `About ${minutes} min to read (${words} words)` : '';
+  }
+}
+
+/**
+ * Marks an entry as read, or as the place the last visit stopped
+ * @param {HTMLLIElement} listItem - The entry to update
+ */
+function updateReadingState(listItem) {
+  const id = listItem.dataset.headingId;
+  const read = readHeadingIds.has(id);
+  const resume = id === resumeHeadingId;
+  
+  listItem.classList.toggle('any-toc-read', read);
+  listItem.classList.toggle('any-toc-resume', resume);
+  const status = listItem.querySelector(':scope > .any-toc-row > .any-toc-status');
+  status.title = resume ? 'You stopped here last time' : (read ? 'Read' : '');
+}
+
+/**
+ * Updates the entries of some headings after their reading state changed
+ * @param {Array<string>} ids - Heading IDs
+ */
+function refreshReadingState(ids) {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  ids.forEach(id => {
+    const listItem = tocList.querySelector(`.any-toc-item[data-heading-id="${CSS.escape(id)}"]`);
+    if (listItem) {
+      updateReadingState(listItem);
+    }
+  });
+}
+
+/**
+ * Checks off sections as read
+ * @param {Array<string>} ids - IDs of the headings of the sections
+ */
+function markHeadingsRead(ids) {
+  const newlyRead = ids.filter(id => !readHeadingIds.has(id));
+  if (newlyRead.length === 0) {
+    return;
+  }
+  
+  newlyRead.forEach(id => readHeadingIds.add(id));
+  refreshReadingState(newlyRead);
+  scheduleReadingProgressSave();
+}
+
+/**
+ * Checks off the sections between two headings, after scrolling from one to the other
+ * @param {string|null} fromId - Heading that was active
+ * @param {string} toId - Heading that is active now
+ */
+function markSectionsRead(fromId, toId) {
+  if (!fromId || !renderedHeadings) {
+    return;
+  }
+  
+  const ids = renderedHeadings.map(heading => heading.id);
+  const from = ids.indexOf(fromId);
+  const to = ids.indexOf(toId);
+  // Scrolling back up leaves sections as they were
+  if (from !== -1 && to > from) {
+    markHeadingsRead(ids.slice(from, to));
+  }
+}
+
+/**
+ * Tells whether a scrolled element holds the page's content, rather than
+ * being a small scrolling box such as a code block
+ * @param {EventTarget} target - Target of a scroll event
+ * @returns {boolean} True for tall, vertically scrolling elements
+ */
+function isReadingScroller(target) {
+  return target instanceof Element &&
+    target.scrollHeight > target.clientHeight + 1 &&
+    target.clientHeight >= window.innerHeight / 2;
+}
+
+/**
+ * Returns the element the page's content scrolls in
+ * @returns {Element} The last scrolled content container, or the document's scrolling element
+ */
+function getReadingScroller() {
+  if (readingScroller && readingScroller.isConnected) {
+    return readingScroller;
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Works out how much of a section has scrolled past the activation line
+ * @param {string} id - ID of the section's heading
+ * @param {number} remainingScroll - Pixels left to scroll before the end of the page
+ * @returns {number} Fraction between 0 and 1
+ */
+function getSectionProgress(id, remainingScroll) {
+  const element = getHeadingElement(id);
+  if (!element || !renderedHeadings) {
+    return 0;
+  }
+  
+  const activationLine = window.innerHeight * SCROLL_SPY_ACTIVATION_RATIO;
+  const start = getRectInWindow(element).top;
+  const index = renderedHeadings.findIndex(heading => heading.id === id);
+  
+  // The section ends where the next rendered heading starts
+  let end = null;
+  for (const heading of renderedHeadings.slice(index + 1)) {
+    const nextElement = getHeadingElement(heading.id);
+    const rect = nextElement && getRectInWindow(nextElement);
+    if (rect && (rect.width > 0 || rect.height > 0)) {
+      end = rect.top;
+      break;
+    }
+  }
+  
+  let progress;
+  if (end !== null && end > start) {
+    progress = (activationLine - start) / (end - start);
+  } else {
+    // The last section can never scroll past the activation line, so it is
+    // done once the page is scrolled to the bottom
+    const scrolled = activationLine - start;
+    progress = scrolled + remainingScroll > 0 ? scrolled / (scrolled + remainingScroll) : 1;
+  }
+  return Math.min(1, Math.max(0, progress));
+}
+
+/**
+ * Updates the page progress in the header and the progress bar of the
+ * section being read
+ */
+function updateReadingProgress() {
+  const pageProgress = getTocElement('any-toc-page-progress');
+  if (!pageProgress || !renderedHeadings) {
+    return;
+  }
+  
+  const scroller = getReadingScroller();
+  const maxScroll = scroller.scrollHeight - scroller.clientHeight;
+  const remainingScroll = Math.max(0, maxScroll - scroller.scrollTop);
+  const fraction = maxScroll > 0 ? Math.min(1, Math.max(0, scroller.scrollTop / maxScroll)) : 1;
+  const percent = Math.round(fraction * 100);
+  
+  if (pageProgress.getAttribute('aria-valuenow') !== String(percent)) {
+    pageProgress.setAttribute('aria-valuenow', String(percent));
+    pageProgress.title = `${percent}% of the page read`;
+    pageProgress.querySelector('.any-toc-page-progress-label').textContent = `${percent}%`;
+    pageProgress.style.setProperty('--any-toc-page-progress', String(fraction));
+  }
+  
+  if (!activeHeadingId) {
+    return;
+  }
+  
+  // At the bottom of a scrolling page, every section from the active one on has been seen
+  if (maxScroll > 0 && remainingScroll <= 1) {
+    const ids = renderedHeadings.map(heading => heading.id);
+    markHeadingsRead(ids.slice(Math.max(0, ids.indexOf(activeHeadingId))));
+  }
+  
+  const activeItem = getTocElement('any-toc-list').querySelector('.any-toc-active');
+  if (activeItem) {
+    const progress = getSectionProgress(activeHeadingId, remainingScroll);
+    activeItem.style.setProperty('--any-toc-section-progress', progress.toFixed(3));
+  }
+}
+
+/**
+ * Saves reading progress once the reader has paused for a moment
+ */
+function scheduleReadingProgressSave() {
+  clearTimeout(readingProgressTimer);
+  readingProgressTimer = setTimeout(saveReadingProgress, READING_PROGRESS_SAVE_DELAY);
+}
+
+/**
+ * Saves a pending progress update right away
+ */
+function flushReadingProgress() {
+  if (readingProgressTimer) {
+    saveReadingProgress();
+  }
+}
+
+/**
+ * Stores the sections read and the section being read for this page,
+ * keeping only the most recently read pages. Nothing is written when both
+ * are as last stored, since every write reaches all open tabs.
+ */
+function saveReadingProgress() {
+  clearTimeout(readingProgressTimer);
+  readingProgressTimer = null;
+  if (!pageKey || !activeHeadingId) {
+    return;
+  }
+  if (savedReadingProgress && savedReadingProgress.readCount === readHeadingIds.size &&
+      savedReadingProgress.lastId === activeHeadingId) {
+    return;
+  }
+  
+  savedReadingProgress = { readCount: readHeadingIds.size, lastId: activeHeadingId };
+  const key = pageKey;
+  const entry = { read: [...readHeadingIds], lastId: activeHeadingId, updatedAt: Date.now() };
+  TOCSettings.update('readingProgress', current => {
+    const pages = Object.entries({ ...current, [key]: entry })
+      .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0))
+      .slice(0, READING_PROGRESS_LIMIT);
+    return Object.fromEntries(pages);
+  }).catch(e => {
+    console.error('Error saving reading progress:', e);
+    savedReadingProgress = null;
+  });
+}
+
+/**
+ * Loads the headings saved for this page under a setting
+ * @param {string} settingKey - 'pins' or 'notes'
+ * @returns {Array} Anchors saved on an earlier visit
+ */
+function loadPageAnchors(settingKey) {
+  const saved = ((settings && settings[settingKey]) || {})[pageKey];
+  return saved && Array.isArray(saved[settingKey]) ? saved[settingKey] : [];
+}
+
+/**
+ * Finds the headings anchors refer to, and updates anchors whose heading
+ * has a new ID or position so later visits find it directly
+ * @param {Array} anchors - Anchors saved for this page
+ * @returns {Object} { anchors, matches, changed }, with the matching heading
+ *   or null for each anchor, and whether any anchor was updated
+ */
+function followPageAnchors(anchors) {
+  const headings = renderedHeadings || [];
+  const matches = TOCAnchors.matchAnchors(anchors, headings);
+  
+  let changed = false;
+  const updated = anchors.map((anchor, i) => {
+    const heading = matches[i];
+    const index = headings.indexOf(heading);
+    if (!heading || (anchor.id === heading.id && anchor.index === index && anchor.text === heading.text)) {
+      return anchor;
+    }
+    changed = true;
+    // Keep what was saved with the anchor, such as a note
+    return { ...anchor, ...TOCAnchors.createAnchor({ ...heading, link: getHeadingLink(heading) }, index) };
+  });
+  return { anchors: updated, matches, changed };
+}
+
+/**
+ * Stores the headings saved for this page under a setting, dropping the
+ * page once none are left
+ * @param {string} settingKey - 'pins' or 'notes'
+ * @param {Array} anchors - Anchors to store
+ */
+function storePageAnchors(settingKey, anchors) {
+  if (!pageKey) {
+    return;
+  }
+  
+  const key = pageKey;
+  const entry = { title: document.title, [settingKey]: anchors, updatedAt: Date.now() };
+  TOCSettings.update(settingKey, current => {
+    const pages = { ...current };
+    if (anchors.length > 0) {
+      pages[key] = entry;
+    } else {
+      delete pages[key];
+    }
+    return pages;
+  }).catch(e => {
+    console.error(`Error saving ${settingKey}:`, e);
+  });
+}
+
+/**
+ * Finds the pinned headings
+ */
+function matchPinnedHeadings() {
+  const result = followPageAnchors(pinnedAnchors);
+  pinnedAnchors = result.anchors;
+  pinnedMatches = result.matches;
+  pinnedHeadingIds = new Set(pinnedMatches.filter(Boolean).map(heading => heading.id));
+  if (result.changed) {
+    storePageAnchors('pins', pinnedAnchors);
+  }
+}
+
+/**
+ * Brings the stars in the tree and the "Pinned" group in line with the pins
+ */
+function updatePinnedHeadings() {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  matchPinnedHeadings();
+  tocList.querySelectorAll('.any-toc-item').forEach(updatePinState);
+  renderPinnedGroup();
+}
+
+/**
+ * Shows whether an entry's heading is pinned
+ * @param {HTMLLIElement} listItem - The entry to update
+ */
+function updatePinState(listItem) {
+  const pinned = pinnedHeadingIds.has(listItem.dataset.headingId);
+  const pinButton = listItem.querySelector(':scope > .any-toc-row > .any-toc-pin');
+  
+  listItem.classList.toggle('any-toc-pinned-entry', pinned);
+  pinButton.textContent = pinned ? '★' : '☆';
+  pinButton.title = pinned ? 'Unpin section' : 'Pin section';
+}
+
+/**
+ * Creates the "Pinned" group listed above the tree
+ * @returns {HTMLElement} The group, hidden until something is pinned
+ */
+function createPinnedGroup() {
+  const group = document.createElement('div');
+  group.id = 'any-toc-pinned';
+  group.className = 'any-toc-pinned';
+  group.hidden = true;
+  
+  const title = document.createElement('h3');
+  title.id = 'any-toc-pinned-title';
+  title.className = 'any-toc-pinned-title';
+  title.textContent = 'Pinned';
+  
+  const list = document.createElement('ul');
+  list.id = 'any-toc-pinned-list';
+  list.className = 'any-toc-pinned-list';
+  list.setAttribute('aria-labelledby', title.id);
+  
+  group.appendChild(title);
+  group.appendChild(list);
+  return group;
+}
+
+/**
+ * Lists the pinned headings in the "Pinned" group, in the order they were pinned
+ */
+function renderPinnedGroup() {
+  const group = getTocElement('any-toc-pinned');
+  const list = getTocElement('any-toc-pinned-list');
+  if (!group || !list) {
+    return;
+  }
+  
+  list.replaceChildren(...pinnedAnchors.map((anchor, i) => createPinnedItem(anchor, pinnedMatches[i])));
+  group.hidden = pinnedAnchors.length === 0;
+}
+
+/**
+ * Creates an entry of the "Pinned" group
+ * @param {Object} anchor - The pin
+ * @param {Object|null} heading - The heading it matches, or null if it is not on the page
+ * @returns {HTMLLIElement} The entry
+ */
+function createPinnedItem(anchor, heading) {
+  const item = document.createElement('li');
+  item.className = 'any-toc-pinned-item';
+  
+  const link = document.createElement('button');
+  link.className = 'any-toc-pinned-link';
+  link.textContent = heading ? heading.text : anchor.text;
+  if (heading) {
+    link.addEventListener('click', () => {
+      scrollToHeading(heading.id, heading.position);
+    });
+  } else {
+    // Kept in case the heading comes back, e.g. once the page finishes loading
+    item.classList.add('any-toc-pinned-missing');
+    link.disabled = true;
+    link.title = 'Not found on this page';
+  }
+  
+  const unpinButton = document.createElement('button');
+  unpinButton.className = 'any-toc-unpin';
+  unpinButton.textContent = '★';
+  unpinButton.title = 'Unpin section';
+  unpinButton.setAttribute('aria-label', `Unpin ${link.textContent}`);
+  unpinButton.addEventListener('click', (e) => {
+    pinnedAnchors = pinnedAnchors.filter(pin => pin !== anchor);
+    updatePinnedHeadings();
+    storePageAnchors('pins', pinnedAnchors);
+    announce(`Unpinned ${link.textContent}`);
+    e.stopPropagation();
+  });
+  
+  item.appendChild(link);
+  item.appendChild(unpinButton);
+  return item;
+}
+
+/**
+ * Pins a heading, or unpins it if it is pinned
+ * @param {string} id - ID of the heading
+ */
+function togglePin(id) {
+  const heading = renderedHeadingMap.get(id);
+  if (!heading) {
+    return;
+  }
+  
+  const index = pinnedMatches.findIndex(match => match && match.id === id);
+  if (index !== -1) {
+    pinnedAnchors = pinnedAnchors.filter((anchor, i) => i !== index);
+    announce(`Unpinned ${heading.text}`);
+  } else {
+    const anchor = TOCAnchors.createAnchor({ ...heading, link: getHeadingLink(heading) }, renderedHeadings.indexOf(heading));
+    pinnedAnchors = [...pinnedAnchors, anchor];
+    announce(`Pinned ${heading.text}`);
+  }
+  updatePinnedHeadings();
+  storePageAnchors('pins', pinnedAnchors);
+}
+
+/**
+ * Finds the headings notes belong to
+ */
+function matchNotedHeadings() {
+  const result = followPageAnchors(noteAnchors);
+  noteAnchors = result.anchors;
+  noteMatches = result.matches;
+  headingNotes = new Map();
+  noteMatches.forEach((heading, i) => {
+    if (heading) {
+      headingNotes.set(heading.id, noteAnchors[i].note);
+    }
+  });
+  if (result.changed) {
+    storePageAnchors('notes', noteAnchors);
+  }
+}
+
+/**
+ * Brings the note buttons and tooltips in the tree in line with the notes
+ */
+function updateHeadingNotes() {
+  const tocList = getTocElement('any-toc-list');
+  if (!tocList) {
+    return;
+  }
+  
+  matchNotedHeadings();
+  tocList.querySelectorAll('.any-toc-item').forEach(updateNoteState);
+}
+
+/**
+ * Shows whether an entry's heading has a note, with the note as its tooltip
+ * @param {HTMLLIElement} listItem - The entry to update
+ */
+function updateNoteState(listItem) {
+  const note = headingNotes.get(listItem.dataset.headingId) || '';
+  const noteButton = listItem.querySelector(':scope > .any-toc-row > .any-toc-note');
+  
+  listItem.classList.toggle('any-toc-has-note', Boolean(note));
+  noteButton.title = note ? `Note: ${note}` : 'Add note';
+  if (note) {
+    listItem.setAttribute('aria-description', `Note: ${note}`);
+  } else {
+    listItem.removeAttribute('aria-description');
+  }
+}
+
+/**
+ * Opens the note editor under an entry, closing any other one
+ * @param {HTMLLIElement} listItem - The entry whose heading the note is about
+ */
+function openNoteEditor(listItem) {
+  closeNoteEditor(false);
+  
+  const id = listItem.dataset.headingId;
+  const heading = renderedHeadingMap.get(id);
+  if (!heading) {
+    return;
+  }
+  
+  const editor = document.createElement('div');
+  editor.className = 'any-toc-note-editor';
+  
+  const textarea = document.createElement('textarea');
+  textarea.className = 'any-toc-note-input';
+  textarea.rows = 3;
+  textarea.maxLength = NOTE_MAX_LENGTH;
+  textarea.placeholder = 'Add a note';
+  textarea.setAttribute('aria-label', `Note on ${heading.text}`);
+  textarea.value = headingNotes.get(id) || '';
+  
+  const actions = document.createElement('div');
+  actions.className = 'any-toc-note-actions';
+  
+  const saveButton = document.createElement('button');
+  saveButton.className = 'any-toc-note-save';
+  saveButton.textContent = 'Save';
+  saveButton.title = 'Save note (Ctrl+Enter)';
+  saveButton.addEventListener('click', (e) => {
+    saveNote(id, textarea.value);
+    closeNoteEditor(true);
+    e.stopPropagation();
+  });
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'any-toc-note-cancel';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.title = 'Discard changes (Esc)';
+  cancelButton.addEventListener('click', (e) => {
+    closeNoteEditor(true);
+    e.stopPropagation();
+  });
+  
+  actions.appendChild(saveButton);
+  actions.appendChild(cancelButton);
+  editor.appendChild(textarea);
+  editor.appendChild(actions);
+  
+  editor.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeNoteEditor(true);
+      e.preventDefault();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      saveNote(id, textarea.value);
+      closeNoteEditor(true);
+      e.preventDefault();
+    }
+    // Typing a note must not move through the tree or reach the page's shortcuts
+    e.stopPropagation();
+  });
+  
+  listItem.querySelector(':scope > .any-toc-row').after(editor);
+  textarea.focus();
+}
+
+/**
+ * Closes the note editor without saving
+ * @param {boolean} [restoreFocus=true] - Move focus back to the entry the note is about
+ */
+function closeNoteEditor(restoreFocus = true) {
+  const editor = tocRoot && tocRoot.querySelector('.any-toc-note-editor');
+  if (!editor) {
+    return;
+  }
+  
+  const listItem = editor.closest('.any-toc-item');
+  editor.remove();
+  if (restoreFocus) {
+    focusTreeItem(listItem);
+  }
+}
+
+/**
+ * Saves the note on a heading; an empty note removes it
+ * @param {string} id - ID of the heading
+ * @param {string} text - Text of the note
+ */
+function saveNote(id, text) {
+  const heading = renderedHeadingMap.get(id);
+  if (!heading) {
+    return;
+  }
+  
+  const note = text.trim();
+  const index = noteMatches.findIndex(match => match && match.id === id);
+  if (index === -1 && !note) {
+    return;
+  }
+  
+  if (!note) {
+    noteAnchors = noteAnchors.filter((anchor, i) => i !== index);
+    announce(`Note removed from ${heading.text}`);
+  } else {
+    const anchor = index !== -1 ? noteAnchors[index] :
+      TOCAnchors.createAnchor({ ...heading, link: getHeadingLink(heading) }, renderedHeadings.indexOf(heading));
+    const updated = { ...anchor, note, updatedAt: Date.now() };
+    noteAnchors = index !== -1 ?
+      noteAnchors.map((current, i) => (i === index ? updated : current)) :
+      [...noteAnchors, updated];
+    announce(`Note saved on ${heading.text}`);
+  }
+  updateHeadingNotes();
+  storePageAnchors('notes', noteAnchors);
+}
+
+/**
+ * Adds the note on each heading, if it has one, for exporting
+ * @param {Array} headings - Heading objects
+ * @returns {Array} Copies of the heading objects, with a note property where there is a note
+ */
+function addHeadingNotes(headings) {
+  return headings.map(heading => (headingNotes.has(heading.id) ? { ...heading, note: headingNotes.get(heading.id) } : heading));
+}
+
+/**
+ * Returns the heading levels enabled in settings
+ * @returns {Array<number>} Levels between 1 and 6
+ */
+function getEnabledHeadingLevels() {
+  const levels = settings && Array.isArray(settings.headingLevels) ? settings.headingLevels : [];
+  return levels.length > 0 ? levels : ALL_HEADING_LEVELS;
+}
+
+/**
+ * Returns the site profile for the current page, recomputed only when the
+ * URL or the custom profiles change
+ * @returns {Object|null} Profile from profiles.js, or null if none matches
+ */
+function getSiteProfile() {
+  const url = window.location.href;
+  const customProfiles = settings ? settings.siteProfiles : null;
+  
+  if (!siteProfileCache || siteProfileCache.url !== url || siteProfileCache.customProfiles !== customProfiles) {
+    const match = TOCProfiles.findProfile(url, customProfiles);
+    siteProfileCache = { url, customProfiles, profile: match ? match.profile : null };
+  }
+  return siteProfileCache.profile;
+}
+
+/**
+ * Builds a selector matching heading tags, ARIA headings and the site
+ * profile's own heading selectors
+ * @returns {string} CSS selector
+ */
+function getHeadingSelector() {
+  const profile = getSiteProfile();
+  const profileSelectors = profile ? profile.headings.map(rule => rule.selector) : [];
+  return ALL_HEADING_LEVELS.map(level => `h${level}`)
+    .concat(ARIA_HEADING_SELECTOR, profileSelectors)
+    .join(', ');
+}
+
+/**
+ * Returns the level of a heading element. A level set by the site profile
+ * wins, then aria-level, then the tag name.
+ * @param {Element} element - Heading element
+ * @returns {number} Level between 1 and 6, or 0 if the element is not a heading
+ */
+function getHeadingLevel(element) {
+  const profile = getSiteProfile();
+  const profileRule = profile && profile.headings.find(rule => element.matches(rule.selector));
+  if (profileRule) {
+    return profileRule.level;
+  }
+  
+  const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+  if (element.getAttribute('role') === 'heading' && ariaLevel >= 1) {
+    return Math.min(ariaLevel, 6);
+  }
+  
+  const match = /^H([1-6])$/i.exec(element.tagName);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Checks whether an element is a heading of an enabled level
+ * @param {Element} element - Element to check
+ * @returns {boolean} True for enabled headings outside the TOC's own UI
+ */
+function isEnabledHeading(element) {
+  if (!element.matches(getHeadingSelector())) {
+    return false;
+  }
+  if (isTocUi(element)) {
+    return false;
+  }
+  
+  // Skip headings inside parts of the page the site profile excludes
+  const profile = getSiteProfile();
+  if (profile && profile.exclude.length > 0 && element.closest(profile.exclude.join(', '))) {
+    return false;
+  }
+  
+  return getEnabledHeadingLevels().includes(getHeadingLevel(element));
+}
+
+/**
+ * Finds enabled heading elements inside a container, in document order,
+ * including those inside open shadow roots and same-origin frames
+ * @param {ParentNode} container - Element or document to search
+ * @param {boolean} [scanContainer=false] - Look for shadow hosts and frames
+ *   in the container itself, for small subtrees such as added nodes
+ * @returns {Array<Element>} Heading elements
+ */
+function findHeadingElements(container, scanContainer = false) {
+  return queryAllDeep(container, getHeadingSelector(), scanContainer).filter(isEnabledHeading);
+}
+
+/**
+ * Like querySelectorAll, but also searches open shadow roots and the
+ * documents of same-origin frames. Matches inside a shadow host or frame
+ * are placed where that host or frame sits in the page.
+ * @param {ParentNode} root - Element, document or shadow root to search
+ * @param {string} selector - CSS selector
+ * @param {boolean} [scanContainer=false] - See findNestedRoots
+ * @returns {Array<Element>} Matching elements in document order
+ */
+function queryAllDeep(root, selector, scanContainer = false) {
+  const groups = Array.from(root.querySelectorAll(selector), element => ({ anchor: element, elements: [element] }));
+  
+  for (const nested of findNestedRoots(root, scanContainer)) {
+    const elements = queryAllDeep(nested.root, selector);
+    if (elements.length > 0) {
+      groups.push({ anchor: nested.host, elements });
+    }
+  }
+  
+  // The sort is stable, so a host that matches itself stays before its contents
+  groups.sort((a, b) => compareDocumentOrder(a.anchor, b.anchor));
+  return groups.flatMap(group => group.elements);
+}
+
+/**
+ * Lists the open shadow roots and same-origin frame documents directly inside
+ * a root, and starts watching them for changes
+ * @param {ParentNode} root - Element, document or shadow root to search
+ * @param {boolean} [scanContainer=false] - Scan an element's subtree instead
+ *   of filtering the hosts known in its root
+ * @returns {Array} Nested roots as { host, root }, where host is the shadow host or frame element
+ */
+function findNestedRoots(root, scanContainer = false) {
+  const nested = [];
+  const known = scanContainer ? null : getNestedHostCandidates(root);
+  const candidates = known ? Array.from(known).filter(element => element !== root && root.contains(element)) :
+    root.querySelectorAll('*');
+  
+  for (const element of candidates) {
+    if (element.shadowRoot) {
+      if (!isTocUi(element)) {
+        nested.push({ host: element, root: element.shadowRoot });
+      }
+    } else if (isFrameElement(element)) {
+      watchFrame(element);
+      const frameDocument = getFrameDocument(element);
+      if (frameDocument && frameDocument.body) {
+        nested.push({ host: element, root: frameDocument });
+      }
+    }
+  }
+  
+  nested.forEach(entry => watchNestedRoot(entry.root));
+  return nested;
+}
+
+/**
+ * Returns the possible shadow hosts and frames of the root a node is in,
+ * scanning the root the first time
+ * @param {ParentNode} node - Element, document or shadow root
+ * @returns {Set<Element>|null} Candidates, or null when the root is not
+ *   watched and so would not stay up to date
+ */
+function getNestedHostCandidates(node) {
+  const root = node.nodeType === Node.ELEMENT_NODE ? (node.isConnected ? node.getRootNode() : null) : node;
+  if (!root || !contentObserver || (root !== document && !watchedRoots.has(root))) {
+    return null;
+  }
+  
+  let candidates = nestedHostCandidates.get(root);
+  if (!candidates) {
+    candidates = new Set();
+    collectNestedHostCandidates(root, candidates);
+    nestedHostCandidates.set(root, candidates);
+  }
+  
+  // Drop elements removed or moved to another root since
+  candidates.forEach(element => {
+    if (!element.isConnected || element.getRootNode() !== root) {
+      candidates.delete(element);
+    }
+  });
+  return candidates;
+}
+
+/**
+ * Adds the elements of a subtree that are or may become shadow hosts or frames
+ * @param {ParentNode} container - Element, document or shadow root
+ * @param {Set<Element>} candidates - Set to add them to
+ */
+function collectNestedHostCandidates(container, candidates) {
+  const isCandidate = element => Boolean(element.shadowRoot) || isFrameElement(element) ||
+    element.localName.includes('-');
+  
+  if (container.nodeType === Node.ELEMENT_NODE && isCandidate(container)) {
+    candidates.add(container);
+  }
+  for (const element of container.querySelectorAll('*')) {
+    if (isCandidate(element)) {
+      candidates.add(element);
+    }
+  }
+}
+
+/**
+ * Adds the shadow hosts and frames in subtrees the page added to the
+ * candidates of their roots
+ * @param {Array<MutationRecord>} mutations - Records from the content observer
+ */
+function recordNestedHosts(mutations) {
+  for (const mutation of mutations) {
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) {
+        return;
+      }
+      const candidates = nestedHostCandidates.get(node.getRootNode());
+      if (candidates) {
+        collectNestedHostCandidates(node, candidates);
+      }
+    });
+  }
+}
+
+/**
+ * Checks whether an element is an iframe or frame
+ * @param {Element} element - Element to check
+ * @returns {boolean} True for frame elements
+ */
+function isFrameElement(element) {
+  return element.tagName === 'IFRAME' || element.tagName === 'FRAME';
+}
+
+/**
+ * Returns the document loaded in a frame if the page may access it
+ * @param {HTMLIFrameElement|HTMLFrameElement} frame - Frame element
+ * @returns {Document|null} The frame's document, or null for cross-origin frames
+ */
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lists an element followed by the shadow hosts and frame elements that
+ * contain it, ending with an element in the top document
+ * @param {Element} element - Element to start from
+ * @returns {Array<Element>} The element and its containing hosts and frames
+ */
+function getHostChain(element) {
+  const chain = [element];
+  let current = element;
+  
+  while (true) {
+    const root = current.getRootNode();
+    if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+      current = root.host;
+    } else if (root.nodeType === Node.DOCUMENT_NODE && root !== document && root.defaultView && root.defaultView.frameElement) {
+      current = root.defaultView.frameElement;
+    } else {
+      return chain;
+    }
+    chain.push(current);
+  }
+}
+
+/**
+ * Lists the windows of the frames an element is nested in, innermost first
+ * @param {Element} element - Element in the page or one of its frames
+ * @returns {Array<Window>} Frame windows, excluding the top window
+ */
+function getFrameWindows(element) {
+  const frameWindows = [];
+  let frameWindow = element.ownerDocument.defaultView;
+  
+  while (frameWindow && frameWindow !== window && frameWindow.frameElement) {
+    frameWindows.push(frameWindow);
+    frameWindow = frameWindow.frameElement.ownerDocument.defaultView;
+  }
+  return frameWindows;
+}
+
+/**
+ * Returns an element's bounding box relative to a window's viewport, adding
+ * the offsets of any frames in between
+ * @param {Element} element - Element in the page or one of its frames
+ * @param {Window} [targetWindow=window] - Window whose viewport to measure against
+ * @returns {Object} { top, width, height }
+ */
+function getRectInWindow(element, targetWindow = window) {
+  const rect = element.getBoundingClientRect();
+  let top = rect.top;
+  let frameWindow = element.ownerDocument.defaultView;
+  
+  while (frameWindow && frameWindow !== targetWindow && frameWindow.frameElement) {
+    const frame = frameWindow.frameElement;
+    top += frame.getBoundingClientRect().top + frame.clientTop;
+    frameWindow = frame.ownerDocument.defaultView;
+  }
+  
+  return { top, width: rect.width, height: rect.height };
+}
+
+/**
+ * Returns where a heading lives
+ * @param {Element} element - Heading element
+ * @returns {string} 'document', 'shadow' (inside a shadow root) or 'frame' (inside a frame)
+ */
+function getHeadingScope(element) {
+  const containers = getHostChain(element).slice(1);
+  if (containers.some(isFrameElement)) {
+    return 'frame';
+  }
+  return containers.length > 0 ? 'shadow' : 'document';
+}
+
+/**
+ * Returns the element of a listed heading
+ * @param {string} id - Heading ID from extractHeadings
+ * @returns {Element|null} The heading element
+ */
+function getHeadingElement(id) {
+  const element = headingElementMap.get(id);
+  if (element && element.isConnected) {
+    return element;
+  }
+  return document.getElementById(id);
+}
+
+/**
+ * Checks whether a node is or contains a heading of an enabled level
+ * @param {Node} node - Node added to or removed from the page
+ * @returns {boolean} True if the node affects the TOC
+ */
+function containsHeading(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return false;
+  }
+  if (node.matches(getHeadingSelector())) {
+    return isEnabledHeading(node);
+  }
+  return findHeadingElements(node, true).length > 0;
+}
+
+/**
+ * Returns a readable ID for a heading: a GitHub-style slug of its text, with
+ * -1, -2... appended when another heading or element already uses it
+ * @param {Element} element - The heading, whose shadow root or frame is checked too
+ * @param {string} text - Heading text
+ * @returns {string} An ID not used anywhere in the page
+ */
+function generateHeadingId(element, text) {
+  const root = element.getRootNode();
+  const isOther = found => Boolean(found) && found !== element;
+  const isTaken = id => {
+    const owner = generatedKeyOwners.get(id);
+    const ownerElement = owner && owner.deref();
+    return (ownerElement && ownerElement !== element && ownerElement.isConnected) ||
+      (headingElementMap.has(id) && headingElementMap.get(id) !== element) ||
+      isOther(document.getElementById(id)) ||
+      (root !== document && root.getElementById && isOther(root.getElementById(id)));
+  };
+  
+  const base = slugify(text) || 'section';
+  let id = base;
+  for (let suffix = 1; isTaken(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  
+  generatedKeyOwners.set(id, new WeakRef(element));
+  return id;
+}
+
+/**
+ * Turns heading text into an anchor name the way GitHub does: lowercase,
+ * punctuation dropped and spaces replaced by hyphens
+ * @param {string} text - Heading text
+ * @returns {string} The slug, empty if the text has no letters or digits
+ */
+function slugify(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Renumbers heading levels so the highest level used on the page becomes 1
+ * and skipped levels close up (e.g. h2, h4 -> 1, 2). The original level is
+ * kept as tagLevel.
+ * @param {Array} headings - Heading objects, modified in place
+ */
+function normalizeHeadingLevels(headings) {
+  const usedLevels = [...new Set(headings.map(heading => heading.level))].sort((a, b) => a - b);
+  
+  headings.forEach(heading => {
+    heading.tagLevel = heading.level;
+    heading.level = usedLevels.indexOf(heading.level) + 1;
+  });
+}
+
+/**
+ * Extracts the enabled heading levels, including ARIA headings, from the page
+ * @returns {Array} An array of heading objects, in document order, containing text, level, tagLevel, and position
+ */
+function extractHeadings() {
+  const headings = [];
+  const profile = getSiteProfile();
+  headingElementMap = new Map();
+  
+  const profileRoot = profile && profile.contentRoot ? document.querySelector(profile.contentRoot) : null;
+  
+  // Look in the site profile's content root, then in common content containers
   const containers = [
+    profileRoot,
     document.getElementById('main'),
     document.getElementById('content'),
     document.getElementById('article'),
@@ -716,19 +3861,15 @@ window.extractHeadings = function() {
     mainContainer = document.body;
   }
   
-  // Find all h1, h2, h3 elements inside the main container
+  // Find all enabled heading elements inside the main container
   // console.log('Searching for headings in container');
-  let headingElements = mainContainer.querySelectorAll('h1, h2, h3');
+  let headingElements = findHeadingElements(mainContainer);
   
-  // If no headings are found in the main container, try the entire document
-  if (headingElements.length === 0) {
+  // If no headings are found in the main container, try the entire document,
+  // unless the site profile says the content lives in that container
+  if (headingElements.length === 0 && !profileRoot) {
     // console.log('No headings found in main container, searching entire document');
-    const allHeadings = document.querySelectorAll('h1, h2, h3');
-    
-    if (allHeadings.length === 0) {
-      // console.log('No headings found in entire document');
-      return headings;
-    }
+    const allHeadings = findHeadingElements(document);
     
     // Use all headings from the document
     // console.log(`Found ${allHeadings.length} headings in document`);
@@ -737,10 +3878,17 @@ window.extractHeadings = function() {
     // console.log(`Found ${headingElements.length} headings in main container`);
   }
   
+  // In conversation mode, headings the user typed into a prompt are not part of the outline
+  const conversation = isConversationMode();
+  if (conversation) {
+    headingElements = headingElements.filter(heading => !heading.closest(profile.userMessages));
+  }
+  
   // Extract information from each heading
-  headingElements.forEach((heading, index) => {
-    // Get the heading text and trim whitespace
-    const text = heading.textContent.trim();
+  const extracted = [];
+  headingElements.forEach((heading) => {
+    // Get the heading text, tidied up by the site profile's cleanup rules
+    const text = TOCProfiles.cleanText(heading.textContent, profile);
     
     // Skip empty headings
     if (!text) {
@@ -748,51 +3896,242 @@ window.extractHeadings = function() {
       return;
     }
     
-    // Extract the heading level from the tag name (h1 -> 1, h2 -> 2, etc.)
-    const level = parseInt(heading.tagName.substring(1), 10);
-    
-    // Get the position of the heading for scrolling
-    const position = heading.getBoundingClientRect().top + window.pageYOffset;
-    
-    // Add a unique ID to the heading if it doesn't have one
-    if (!heading.id) {
-      heading.id = `toc-heading-${index}`;
-    }
-    
-    // Add the heading data to our array
-    headings.push({
-      text,
-      level,
-      id: heading.id,
-      position
-    });
+    // Add the heading data to our array, with the level from aria-level,
+    // the profile or the tag name (h1 -> 1, h2 -> 2, etc.)
+    extracted.push({ element: heading, heading: describeHeadingElement(heading, text, getHeadingLevel(heading)) });
     
     // console.log(`Added heading: ${text.substring(0, 30)}${text.length > 30 ? '...' : ''} (h${level})`);
   });
   
+  headings.push(...extracted.map(item => item.heading));
+  
   // console.log(`Total headings extracted: ${headings.length}`);
-  // Reverse the array to show headings in reverse order (last heading first)
-  const reversedHeadings = headings.reverse();
+  normalizeHeadingLevels(headings);
   
-  // console.log('Headings (reversed):', JSON.stringify(reversedHeadings));
-  return reversedHeadings;
-};
+  conversationRendered = false;
+  if (conversation) {
+    const turns = findConversationTurns(profileRoot || mainContainer, profile);
+    if (turns.length > 0) {
+      conversationRendered = true;
+      return addConversationTurns(extracted, turns, profile);
+    }
+  }
+  
+  // Headings stay in document order; buildTOC applies the site's chosen order
+  return headings;
+}
+
+/**
+ * Builds the heading object for an element, giving a heading an ID if it has none
+ * @param {Element} element - Heading or chat message element
+ * @param {string} text - Text shown in the TOC
+ * @param {number} level - Heading level
+ * @param {boolean} [assignId=true] - Give the element a slug ID of its own;
+ *   chat messages are only listed under a generated key
+ * @returns {Object} Heading object as { text, level, id, position }
+ */
+function describeHeadingElement(element, text, level, assignId = true) {
+  // Get the position of the heading in the page for scrolling
+  const position = getRectInWindow(element).top + window.pageYOffset;
+  
+  // Add a slug ID to the heading if it doesn't have one, unless the site
+  // profile says to leave the page alone
+  if (assignId && !isPreservingDom()) {
+    assignHeadingId(element, text);
+  }
+  
+  // Headings in different shadow roots or frames can share an ID; list the
+  // later ones, and headings left without one, under a generated ID
+  let id = element.id;
+  if (!id || (headingElementMap.has(id) && headingElementMap.get(id) !== element)) {
+    const key = generatedHeadingKeys.get(element);
+    if (!key || (headingElementMap.has(key) && headingElementMap.get(key) !== element)) {
+      generatedHeadingKeys.set(element, generateHeadingId(element, text));
+    }
+    id = generatedHeadingKeys.get(element);
+  }
+  headingElementMap.set(id, element);
+  
+  return { text, level, id, position, scope: getHeadingScope(element) };
+}
+
+/**
+ * Gives a heading without an ID a slug of its text. A heading still being
+ * written, such as one in a streamed reply, is given a new slug whenever
+ * its text changes, so the ID matches the final text.
+ * @param {Element} element - Heading element
+ * @param {string} text - Heading text
+ */
+function assignHeadingId(element, text) {
+  const assigned = assignedIdElements.get(element);
+  if (assigned && element.id !== assigned.id) {
+    // The page has changed or removed the ID since
+    assignedIdElements.delete(element);
+    return;
+  }
+  if (element.id && (!assigned || assigned.text === text)) {
+    return;
+  }
+  
+  if (assigned) {
+    const owner = generatedKeyOwners.get(assigned.id);
+    if (owner && owner.deref() === element) {
+      generatedKeyOwners.delete(assigned.id);
+    }
+  }
+  element.id = generateHeadingId(element, text);
+  assignedIdElements.set(element, { id: element.id, text });
+}
+
+/**
+ * Returns whether the site profile asks for the page's markup to be left
+ * alone, in which case headings are not given IDs
+ * @returns {boolean} True if the page must not be modified
+ */
+function isPreservingDom() {
+  const profile = getSiteProfile();
+  return Boolean(profile && profile.preserveDom);
+}
+
+/**
+ * Returns whether chat turns should be listed on this page
+ * @returns {boolean} True if the site profile describes user messages and the mode is on
+ */
+function isConversationMode() {
+  const profile = getSiteProfile();
+  return Boolean(profile && profile.userMessages) && getSiteSettings().conversation !== false;
+}
+
+/**
+ * Finds the user and assistant messages of a chat, in document order
+ * @param {ParentNode} container - Element containing the conversation
+ * @param {Object} profile - Site profile with userMessages and assistantMessages
+ * @returns {Array} Messages as { element, role: 'user'|'assistant' }, or [] if there are no prompts yet
+ */
+function findConversationTurns(container, profile) {
+  const userMessages = Array.from(container.querySelectorAll(profile.userMessages));
+  if (userMessages.length === 0) {
+    return [];
+  }
+  
+  const assistantMessages = profile.assistantMessages
+    ? Array.from(container.querySelectorAll(profile.assistantMessages))
+    : [];
+  
+  return userMessages.map(element => ({ element, role: 'user' }))
+    .concat(assistantMessages.map(element => ({ element, role: 'assistant' })))
+    .sort((a, b) => compareDocumentOrder(a.element, b.element));
+}
+
+/**
+ * Interleaves chat turns with the headings of each reply. Every prompt
+ * becomes a top-level entry, the reply that follows it an entry below, and
+ * the reply's headings are nested under that.
+ * @param {Array} extracted - Headings as { element, heading }, with normalized levels
+ * @param {Array} turns - Messages returned by findConversationTurns
+ * @param {Object} profile - Site profile
+ * @returns {Array} Entries in document order; turn entries carry role and turn number
+ */
+function addConversationTurns(extracted, turns, profile) {
+  // Replies add a level between the prompt and the reply's headings
+  const headingOffset = profile.assistantMessages ? 2 : 1;
+  const items = turns.concat(extracted).sort((a, b) => compareDocumentOrder(a.element, b.element));
+  const entries = [];
+  let turn = 0;
+  
+  items.forEach(item => {
+    if (item.heading) {
+      entries.push({
+        ...item.heading,
+        level: Math.min(item.heading.level + headingOffset, MAX_TREE_DEPTH)
+      });
+      return;
+    }
+    
+    if (item.role === 'user') {
+      turn++;
+      const fullText = TOCProfiles.cleanText(item.element.textContent, profile);
+      const text = fullText.length > CONVERSATION_PROMPT_LENGTH
+        ? `${fullText.slice(0, CONVERSATION_PROMPT_LENGTH - 1).trimEnd()}…`
+        : fullText || 'Prompt';
+      entries.push({ ...describeHeadingElement(item.element, text, 1, false), role: 'user', turn, fullText });
+    } else {
+      entries.push({ ...describeHeadingElement(item.element, 'Response', 2, false), role: 'assistant', turn });
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Sort comparator putting elements in document order, ancestors before descendants
+ * @param {Element} a - First element
+ * @param {Element} b - Second element
+ * @returns {number} Negative if a comes first
+ */
+function compareDocumentOrder(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  
+  const position = a.compareDocumentPosition(b);
+  if (!(position & Node.DOCUMENT_POSITION_DISCONNECTED)) {
+    return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  }
+  
+  // In different shadow roots or frames: compare the outermost hosts or
+  // frames that differ, which share a tree
+  const chainA = getHostChain(a).reverse();
+  const chainB = getHostChain(b).reverse();
+  let index = 0;
+  while (index < chainA.length && index < chainB.length && chainA[index] === chainB[index]) {
+    index++;
+  }
+  if (index === chainA.length) {
+    return -1;
+  }
+  if (index === chainB.length) {
+    return 1;
+  }
+  return chainA[index].compareDocumentPosition(chainB[index]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
 
 /**
  * Scrolls the page to the heading with the given ID
  * @param {string} id - The ID of the heading element
  * @param {number} position - The Y position of the heading
  */
-window.scrollToHeading = function(id, position) {
+function scrollToHeading(id, position) {
   // Try to find the element by ID
-  const element = document.getElementById(id);
+  const element = getHeadingElement(id);
+  const behavior = getScrollBehavior();
   
   if (element) {
-    // If element exists, scroll to it with smooth behavior
-    element.scrollIntoView({
-      behavior: 'smooth',
-      block: 'start'
-    });
+    const frameWindows = getFrameWindows(element);
+    
+    if (frameWindows.length === 0) {
+      // If element exists, scroll to it with smooth behavior
+      element.scrollIntoView({
+        behavior,
+        block: 'start'
+      });
+    } else {
+      // Bring the heading to the top of each frame it is in, innermost
+      // first, then scroll the page to where it now sits
+      frameWindows.forEach(frameWindow => {
+        frameWindow.scrollBy(0, getRectInWindow(element, frameWindow).top);
+      });
+      window.scrollTo({
+        top: window.pageYOffset + getRectInWindow(element).top,
+        behavior
+      });
+    }
+    
+    // Mark the target as the section being read
+    lockActiveHeading(id);
+    
+    // Continue reading (and Tab navigation) from the heading
+    focusHeadingElement(element);
     
     // Add a temporary highlight effect
     const originalBackground = element.style.backgroundColor;
@@ -806,87 +4145,355 @@ window.scrollToHeading = function(id, position) {
     // Fallback to using the stored position
     window.scrollTo({
       top: position,
-      behavior: 'smooth'
+      behavior
     });
   }
-};
+}
+
+/**
+ * Finds the heading a saved section refers to, matching on its text and
+ * position when its ID has changed since it was saved
+ * @param {Object} anchor - Saved section as { id, text, level, index }
+ * @returns {Object|null} The heading, or null if it is no longer on the page
+ */
+function findAnchoredHeading(anchor) {
+  const headings = renderedHeadings || extractHeadings();
+  return TOCAnchors.matchAnchors([anchor], headings)[0];
+}
+
+/**
+ * Returns how jumps should scroll, honouring the reduced motion preference
+ * @returns {string} 'smooth', or 'auto' when the reader prefers reduced motion
+ */
+function getScrollBehavior() {
+  return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+}
+
+/**
+ * Moves focus to a heading without scrolling. Headings are not normally
+ * focusable, so one gets a temporary tabindex that is removed on blur.
+ * @param {Element} element - The heading
+ */
+function focusHeadingElement(element) {
+  if (!element.hasAttribute('tabindex')) {
+    element.setAttribute('tabindex', '-1');
+    element.addEventListener('blur', () => element.removeAttribute('tabindex'), { once: true });
+  }
+  element.focus({ preventScroll: true });
+}
+
+/**
+ * Returns the page's headings in document order along with the index of
+ * the one being read. Reads the page afresh, since the sidebar may be
+ * hidden and out of date.
+ * @returns {Object} { headings, index }, where index is -1 above the first heading
+ */
+function getCurrentHeadingIndex() {
+  const headings = extractHeadings();
+  
+  // Right after a jump the page may still be scrolling towards its target
+  const currentId = jumpLock ? activeHeadingId : findActiveHeadingId(headings, false);
+  return { headings, index: headings.findIndex(heading => heading.id === currentId) };
+}
+
+/**
+ * Scrolls to the heading before or after the one being read
+ * @param {number} offset - 1 for the next heading, -1 for the previous one
+ * @returns {boolean} True if there was a heading to jump to
+ */
+function jumpToAdjacentHeading(offset) {
+  const { headings, index } = getCurrentHeadingIndex();
+  const target = headings[index + offset];
+  if (!target) {
+    return false;
+  }
+  
+  scrollToHeading(target.id, target.position);
+  return true;
+}
+
+/**
+ * Scrolls to the heading that contains the one being read
+ * @returns {boolean} True if there was a parent heading to jump to
+ */
+function jumpToParentHeading() {
+  const { headings, index } = getCurrentHeadingIndex();
+  if (index === -1) {
+    return false;
+  }
+  
+  const level = headings[index].level;
+  for (let i = index - 1; i >= 0; i--) {
+    if (headings[i].level < level) {
+      scrollToHeading(headings[i].id, headings[i].position);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Gets the current position and geometry of the TOC
+ * @returns {Object} { position, width, height, top, left }: position is 'left', 'right'
+ *   or 'floating', and the rest are the sidebar's bounds in px
+ */
+function getCurrentPosition() {
+  const sidebar = getTocElement('any-toc-sidebar');
+  
+  // Check if sidebar exists and is visible
+  if (sidebar && !sidebar.classList.contains('hidden')) {
+    const rect = sidebar.getBoundingClientRect();
+    return {
+      position: getSidebarPosition(sidebar),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+      top: Math.round(rect.top),
+      left: Math.round(rect.left)
+    };
+  }
+  
+  // If sidebar is not visible, report the saved geometry
+  const geometry = clampGeometry(getSidebarGeometry());
+  const position = getSiteSettings().position;
+  let left = geometry.left;
+  if (position === 'right') {
+    left = window.innerWidth - SIDEBAR_MARGIN - geometry.width;
+  } else if (position === 'left') {
+    left = SIDEBAR_MARGIN;
+  }
+  return { position, ...geometry, left };
+}
+
+/**
+ * Returns where the sidebar is currently placed
+ * @param {HTMLElement} sidebar - The sidebar element
+ * @returns {string} 'left', 'right' or 'floating'
+ */
+function getSidebarPosition(sidebar) {
+  if (sidebar.classList.contains('floating')) {
+    return 'floating';
+  }
+  return sidebar.classList.contains('left') ? 'left' : 'right';
+}
+
+/**
+ * Sets up a mutation observer that keeps the TOC in sync with the page as
+ * headings are added, removed, moved or edited
+ */
+function setupContentChangeDetection() {
+  // console.log('Setting up mutation observer for content changes');
+  
+  if (contentObserver) {
+    contentObserver.disconnect();
+  }
+  unwatchNestedRoots();
+  
+  // Create mutation observer
+  contentObserver = new MutationObserver((mutations) => {
+    // Sections whose text changed are counted again on the next refresh
+    recordWordChanges(mutations);
+    recordAddedElements(mutations);
+    recordNestedHosts(mutations);
+    
+    // Check if any of the mutations might affect headings
+    const hasRelevantChanges = mutations.some(isRelevantMutation);
+    
+    if (hasRelevantChanges) {
+      // console.log('Content changes detected that affect headings');
+      scheduleContentRefresh();
+    }
+  });
+  
+  // Start observing the document body; shadow roots and frames are added
+  // as extraction finds them
+  contentObserver.observe(document.body, CONTENT_OBSERVER_OPTIONS);
+  
+  // console.log('Mutation observer setup complete');
+}
+
+/**
+ * Observes a shadow root or frame document found during extraction, since
+ * changes inside it are not reported by the document's observer
+ * @param {ShadowRoot|Document} root - Nested root
+ */
+function watchNestedRoot(root) {
+  if (!contentObserver || watchedRoots.has(root)) {
+    return;
+  }
+  
+  watchedRoots.add(root);
+  contentObserver.observe(root, CONTENT_OBSERVER_OPTIONS);
+  
+  // Scrolling inside a frame moves its headings, so track the section being read there too
+  if (root.nodeType === Node.DOCUMENT_NODE) {
+    root.addEventListener('scroll', scheduleScrollSpyUpdate, { capture: true, passive: true });
+  }
+}
+
+/**
+ * Rescans when a frame loads, since its new document has not been searched yet
+ * @param {HTMLIFrameElement|HTMLFrameElement} frame - Frame element
+ */
+function watchFrame(frame) {
+  if (watchedFrames.has(frame)) {
+    return;
+  }
+  
+  watchedFrames.add(frame);
+  frame.addEventListener('load', scheduleContentRefresh);
+}
+
+/**
+ * Stops watching the shadow roots and frame documents found so far
+ */
+function unwatchNestedRoots() {
+  watchedRoots.forEach(root => {
+    if (root.nodeType === Node.DOCUMENT_NODE) {
+      root.removeEventListener('scroll', scheduleScrollSpyUpdate, { capture: true });
+    }
+  });
+  watchedRoots = new Set();
+  nestedHostCandidates = new WeakMap();
+}
+
+/**
+ * Checks whether a mutation may change the TOC
+ * @param {MutationRecord} mutation - Record from the content observer
+ * @returns {boolean} True if the headings may have changed
+ */
+function isRelevantMutation(mutation) {
+  const target = mutation.target.nodeType === Node.ELEMENT_NODE
+    ? mutation.target
+    : mutation.target.parentElement;
+  
+  // Ignore changes to the sidebar itself
+  if (!target || isTocUi(target)) {
+    return false;
+  }
+  
+  // Text edited, added or removed inside a heading or prompt changes its entry
+  if (isInsideHeading(target) || isInsideUserMessage(target)) {
+    return true;
+  }
+  
+  // An element gaining or losing its ARIA heading role or level
+  if (mutation.type === 'attributes') {
+    return target.getAttribute('role') === 'heading' || mutation.oldValue === 'heading';
+  }
+  
+  // Check for added/removed nodes that might be or contain headings
+  if (mutation.type === 'childList') {
+    for (const node of mutation.addedNodes) {
+      if (containsHeading(node) || containsConversationMessage(node)) {
+        // console.log('Detected new heading content');
+        return true;
+      }
+    }
+    
+    for (const node of mutation.removedNodes) {
+      // Removed nodes are detached, so only their own markup can be checked
+      if (node.nodeType === Node.ELEMENT_NODE &&
+          (node.matches(getHeadingSelector()) || node.querySelector(getHeadingSelector()) ||
+           containsConversationMessage(node))) {
+        // console.log('Detected removed heading content');
+        return true;
+      }
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Checks whether an element is an enabled heading or sits inside one
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element belongs to a heading
+ */
+function isInsideHeading(element) {
+  const heading = element.closest(getHeadingSelector());
+  return Boolean(heading) && isEnabledHeading(heading);
+}
+
+/**
+ * Checks whether an element sits inside a prompt listed in conversation mode
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element belongs to a user message
+ */
+function isInsideUserMessage(element) {
+  return isConversationMode() && Boolean(element.closest(getSiteProfile().userMessages));
+}
+
+/**
+ * Checks whether a node is or contains a chat message listed in conversation mode
+ * @param {Node} node - Node added to or removed from the page
+ * @returns {boolean} True if the node adds or removes a turn
+ */
+function containsConversationMessage(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE || !isConversationMode()) {
+    return false;
+  }
+  
+  const profile = getSiteProfile();
+  const selector = [profile.userMessages, profile.assistantMessages].filter(Boolean).join(', ');
+  return node.matches(selector) || node.querySelector(selector) !== null;
+}
 
 /**
- * Gets the current position of the TOC
- * @returns {string} The current position ('left' or 'right')
+ * Refreshes the TOC once the page has been quiet for CONTENT_CHANGE_THRESHOLD,
+ * but at least every CONTENT_CHANGE_MAX_WAIT while changes keep coming
  */
-function getCurrentPosition() {
-  const sidebar = document.getElementById('any-toc-sidebar');
+function scheduleContentRefresh() {
+  clearTimeout(contentChangeTimer);
+  contentChangeTimer = setTimeout(runContentRefresh, CONFIG.CONTENT_CHANGE_THRESHOLD);
   
-  // Check if sidebar exists and is visible
-  if (sidebar && getComputedStyle(sidebar).display !== 'none') {
-    return sidebar.classList.contains('left') ? 'left' : 'right';
+  if (!contentChangeMaxTimer) {
+    contentChangeMaxTimer = setTimeout(runContentRefresh, CONFIG.CONTENT_CHANGE_MAX_WAIT);
   }
-  
-  // If sidebar is not visible, check the saved position
-  return localStorage.getItem('any-toc-position') || 'right';
 }
 
 /**
- * Sets up a mutation observer to detect content changes
+ * Cancels a pending content refresh
  */
-function setupContentChangeDetection() {
-  // console.log('Setting up mutation observer for content changes');
+function cancelContentRefresh() {
+  clearTimeout(contentChangeTimer);
+  clearTimeout(contentChangeMaxTimer);
+  contentChangeTimer = null;
+  contentChangeMaxTimer = null;
+}
+
+/**
+ * Applies pending content changes to the TOC
+ */
+function runContentRefresh() {
+  cancelContentRefresh();
   
-  // Create mutation observer
-  const observer = new MutationObserver((mutations) => {
-    // Check if any of the mutations might affect headings
-    const hasRelevantChanges = mutations.some(mutation => {
-      // Check for added/removed nodes that might be or contain headings
-      if (mutation.type === 'childList') {
-        // Check added nodes
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // If the node is a heading or contains headings
-            if (/^H[1-4]$/i.test(node.tagName) || node.querySelector('h1, h2, h3')) {
-              // console.log('Detected new heading content');
-              return true;
-            }
-          }
-        }
-        
-        // Check if removed nodes contained headings
-        for (const node of mutation.removedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (/^H[1-4]$/i.test(node.tagName) || 
-                (node.querySelector && node.querySelector('h1, h2, h3'))) {
-              // console.log('Detected removed heading content');
-              return true;
-            }
-          }
-        }
-      }
-      
-      return false;
-    });
-    
-    if (hasRelevantChanges) {
-      // console.log('Content changes detected that affect headings');
-    }
-  });
+  // A hidden sidebar is refreshed when it is shown again
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  if (!tocSidebar || tocSidebar.classList.contains('hidden')) {
+    return;
+  }
   
-  // Start observing the document body
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  // The debounce already limits how often this runs
+  refreshTOC(true);
   
-  // console.log('Mutation observer setup complete');
+  // Make room beside a docked sidebar for fixed elements the page has added
+  if (dockedLayout && addedPageElements.size) {
+    moveFixedElementsAside(addedPageElements);
+  }
+  addedPageElements = new Set();
+  
+  // Pages that switch between light and dark often rebuild their content too
+  applyAppearance();
 }
 
 /**
  * Toggles the TOC sidebar visibility
  */
-window.toggleTOCSidebar = function() {
+function toggleTOCSidebar() {
   // console.log('toggleTOCSidebar called');
   
-  const tocSidebar = document.getElementById('any-toc-sidebar');
-  const collapsedButton = document.getElementById('any-toc-collapsed');
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const collapsedButton = getTocElement('any-toc-collapsed');
   
   if (!tocSidebar || !collapsedButton) {
     console.error('TOC elements not found in the DOM');
@@ -896,147 +4503,638 @@ window.toggleTOCSidebar = function() {
   // console.log('Current state - sidebar hidden:', tocSidebar.classList.contains('hidden'));
   // console.log('Current state - collapsed visible:', collapsedButton.classList.contains('visible'));
   
-  if (tocSidebar.classList.contains('hidden')) {
+  const visible = tocSidebar.classList.contains('hidden');
+  applyVisibility(visible);
+  saveSiteSettings({ visibility: visible ? 'visible' : 'hidden' });
+}
+
+/**
+ * Shows or hides the sidebar without saving the preference
+ * @param {boolean} visible - Whether the sidebar should be shown
+ */
+function applyVisibility(visible) {
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const collapsedButton = getTocElement('any-toc-collapsed');
+  
+  if (!tocSidebar || !collapsedButton) {
+    return;
+  }
+  
+  const wasHidden = tocSidebar.classList.contains('hidden');
+  
+  // Keep the hidden sidebar out of the tab order and away from screen readers
+  tocSidebar.inert = !visible;
+  
+  if (visible) {
     // console.log('Showing sidebar');
     tocSidebar.classList.remove('hidden');
     collapsedButton.classList.remove('visible');
-    localStorage.setItem('any-toc-visibility', 'visible');
     
-    // Immediately refresh the TOC when showing it
-    if (typeof refreshTOC === 'function') {
+    // Immediately refresh the TOC when it becomes visible
+    if (wasHidden) {
       refreshTOC(true); // Force refresh
-    } else if (window.refreshTOC && typeof window.refreshTOC === 'function') {
-      window.refreshTOC(true); // Force refresh
-    }
-    
-    // Start auto-refresh sequence
-    if (typeof autoRefreshAfterPageLoad === 'function') {
-      autoRefreshAfterPageLoad();
     }
   } else {
     // console.log('Hiding sidebar');
     tocSidebar.classList.add('hidden');
     collapsedButton.classList.add('visible');
-    localStorage.setItem('any-toc-visibility', 'hidden');
   }
-};
+  updatePageDocking();
+}
 
 /**
  * Toggles the position of the TOC sidebar (left or right)
+ * @returns {string|undefined} The new position, or undefined if the TOC is not shown
  */
-window.togglePosition = function() {
+function togglePosition() {
   // console.log('togglePosition called');
   
-  const tocSidebar = document.getElementById('any-toc-sidebar');
-  const collapsedButton = document.getElementById('any-toc-collapsed');
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const collapsedButton = getTocElement('any-toc-collapsed');
   
   if (!tocSidebar || !collapsedButton) {
     console.error('TOC elements not found in the DOM');
     return;
   }
   
+  // A floating sidebar docks on the left
   if (tocSidebar.classList.contains('left')) {
-    setPosition('right');
+    return setPosition('right');
   } else {
-    setPosition('left');
+    return setPosition('left');
   }
-};
+}
 
 /**
- * Sets the position of the TOC sidebar (left or right)
- * @param {string} position - 'left' or 'right'
+ * Sets the position of the TOC sidebar
+ * @param {string} position - 'left' or 'right' to dock at that edge, or
+ *   'floating' to leave it where it is and let it be dragged anywhere
  */
-window.setPosition = function(position) {
+function setPosition(position) {
   // console.log('setPosition called with:', position);
   
-  const tocSidebar = document.getElementById('any-toc-sidebar');
-  const collapsedButton = document.getElementById('any-toc-collapsed');
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const collapsedButton = getTocElement('any-toc-collapsed');
   
   if (!tocSidebar || !collapsedButton) {
     console.error('TOC elements not found in the DOM');
     return;
   }
   
-  if (position === 'left') {
-    // console.log('Moving to left side');
-    tocSidebar.classList.add('left');
-    collapsedButton.classList.add('left');
-    localStorage.setItem('any-toc-position', 'left');
-  } else {
-    // console.log('Moving to right side');
-    tocSidebar.classList.remove('left');
-    collapsedButton.classList.remove('left');
-    localStorage.setItem('any-toc-position', 'right');
+  if (position === 'floating') {
+    // Start floating from where the sidebar is now
+    const rect = tocSidebar.getBoundingClientRect();
+    const geometry = { ...getSidebarGeometry(), top: rect.top, left: rect.left };
+    applyPosition(position, geometry);
+    saveSiteSettings({ position, geometry: clampGeometry(geometry) });
+    return position;
   }
   
+  position = position === 'left' ? 'left' : 'right';
+  applyPosition(position);
+  saveSiteSettings({ position });
+  
   return position;
-};
+}
 
 /**
- * Removes the current domain from the allowed list
- * Can be called from popup
+ * Places and sizes the sidebar without saving the preference
+ * @param {string} position - 'left', 'right' or 'floating'
+ * @param {Object} [geometry] - { width, height, top, left } in px; defaults to the saved geometry
  */
-window.removeCurrentDomainFromAllowList = function() {
-  const currentDomain = window.location.hostname;
-  if (!currentDomain) {
-    console.error('Cannot remove empty domain from allow list');
-    return false;
+function applyPosition(position, geometry = getSidebarGeometry()) {
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const collapsedButton = getTocElement('any-toc-collapsed');
+  
+  if (!tocSidebar || !collapsedButton) {
+    return;
+  }
+  
+  // A floating sidebar without a saved spot stays where it is
+  if (position === 'floating' && (geometry.left === null || geometry.left === undefined)) {
+    geometry = { ...geometry, left: tocSidebar.getBoundingClientRect().left };
+  }
+  const bounds = clampGeometry(geometry);
+  
+  // A docked sidebar runs the full height of the window
+  const docked = position !== 'floating' && getSiteSettings().layout === 'docked';
+  
+  // console.log('Moving to side:', position);
+  tocSidebar.classList.toggle('left', position === 'left');
+  tocSidebar.classList.toggle('floating', position === 'floating');
+  tocSidebar.classList.toggle('docked', docked);
+  collapsedButton.classList.toggle('left', position === 'left');
+  
+  tocSidebar.style.width = `${bounds.width}px`;
+  tocSidebar.style.top = docked ? '' : `${bounds.top}px`;
+  tocSidebar.style.height = bounds.height && !docked ? `${bounds.height}px` : '';
+  tocSidebar.style.maxHeight = bounds.height && !docked ? 'none' : '';
+  tocSidebar.style.left = position === 'floating' ? `${bounds.left}px` : '';
+  
+  updateResizeHandles(bounds);
+  updatePageDocking();
+}
+
+/**
+ * Reserves space beside a docked sidebar by narrowing the page, or gives it
+ * back when the sidebar is hidden, floating or in overlay mode. Any earlier
+ * changes are undone first, so the page is measured in its own layout.
+ * @param {boolean} [force] - Dock again even if the side and width are
+ *   unchanged, as after the window changed size
+ */
+function updatePageDocking(force = false) {
+  // Wait for the end of a drag or window resize instead of reflowing the
+  // page on every move
+  if (sidebarGesture || windowResizeTimer) {
+    return;
+  }
+  
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const layout = tocSidebar && tocSidebar.classList.contains('docked') && !tocSidebar.classList.contains('hidden') ? {
+    side: tocSidebar.classList.contains('left') ? 'left' : 'right',
+    width: parseFloat(tocSidebar.style.width)
+  } : null;
+  
+  if (!force && layout && dockedLayout && layout.side === dockedLayout.side && layout.width === dockedLayout.width) {
+    return;
+  }
+  
+  restorePageLayout();
+  if (!layout) {
+    return;
   }
   
-  let customDomains = [];
-  const storedDomains = localStorage.getItem('any-toc-allowed-domains');
+  dockedLayout = layout;
+  moveFixedElementsAside();
+  setDockedStyle(document.documentElement, `margin-${dockedLayout.side}`, `${dockedLayout.width}px`);
+}
+
+/**
+ * Moves fixed-position page elements, such as site headers and chat
+ * buttons, out from under the docked sidebar. Elements already moved are
+ * left alone, so this can run again as the page adds new ones.
+ * @param {Set<Element>} [addedElements] - Only look in and around these
+ *   elements instead of the whole strip the sidebar covers
+ */
+function moveFixedElementsAside(addedElements) {
+  const { side, width } = dockedLayout;
+  const viewportWidth = document.documentElement.clientWidth;
+  const stripLeft = side === 'right' ? viewportWidth - width : 0;
+  const stripRight = stripLeft + width;
+  
+  const fixedElements = addedElements ?
+    findAddedFixedElements(addedElements) : findFixedElementsInStrip(stripLeft, stripRight);
   
-  if (storedDomains) {
-    try {
-      customDomains = JSON.parse(storedDomains);
-      if (!Array.isArray(customDomains)) {
-        customDomains = [];
+  fixedElements.forEach(element => {
+    if (dockedStyles.has(element)) {
+      return;
+    }
+    
+    const rect = element.getBoundingClientRect();
+    const overlap = side === 'right' ? rect.right - stripLeft : stripRight - rect.left;
+    if (overlap <= 0) {
+      return;
+    }
+    
+    // Work from the used values so margins and transforms are kept
+    const style = getComputedStyle(element);
+    const left = parseFloat(style.left) || 0;
+    if (rect.width > viewportWidth / 2) {
+      // Bars spanning the window are narrowed to the space left for the page
+      setDockedStyle(element, 'width', `${Math.max(0, parseFloat(style.width) - overlap)}px`);
+      setDockedStyle(element, 'left', `${side === 'left' ? left + overlap : left}px`);
+    } else {
+      // Smaller widgets are moved next to the sidebar
+      setDockedStyle(element, 'left', `${side === 'left' ? left + overlap : left - overlap}px`);
+    }
+    setDockedStyle(element, 'right', 'auto');
+  });
+}
+
+/**
+ * Samples the strip the sidebar covers for fixed elements, instead of
+ * checking every element's style
+ * @param {number} stripLeft - Left edge of the strip in px
+ * @param {number} stripRight - Right edge of the strip in px
+ * @returns {Set<Element>} Fixed elements found in the strip
+ */
+function findFixedElementsInStrip(stripLeft, stripRight) {
+  const fixedElements = new Set();
+  const checked = new Map();
+  for (let y = DOCK_SAMPLE_STEP / 2; y < window.innerHeight; y += DOCK_SAMPLE_STEP) {
+    for (let x = stripLeft + DOCK_SAMPLE_STEP / 2; x < stripRight; x += DOCK_SAMPLE_STEP) {
+      for (const hit of document.elementsFromPoint(x, y)) {
+        const fixedElement = findFixedAncestor(hit, checked);
+        if (fixedElement) {
+          fixedElements.add(fixedElement);
+        }
       }
-    } catch (e) {
-      console.error('Error parsing custom domains:', e);
-      return false;
     }
   }
+  return fixedElements;
+}
+
+/**
+ * Finds the fixed elements that added elements are part of or contain
+ * @param {Set<Element>} addedElements - Elements the page added
+ * @returns {Set<Element>} Fixed elements found
+ */
+function findAddedFixedElements(addedElements) {
+  const fixedElements = new Set();
+  const checked = new Map();
+  addedElements.forEach(element => {
+    if (!element.isConnected) {
+      return;
+    }
+    
+    const fixedElement = findFixedAncestor(element, checked);
+    if (fixedElement) {
+      fixedElements.add(fixedElement);
+      return;
+    }
+    
+    // Fixed elements inside take their own children along
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: node => {
+        if (isTocUi(node)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        if (getComputedStyle(node).position === 'fixed') {
+          fixedElements.add(node);
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_SKIP;
+      }
+    });
+    walker.nextNode();
+  });
+  return fixedElements;
+}
+
+/**
+ * Remembers elements the page adds while the sidebar is docked, so the next
+ * content refresh can move any fixed ones aside
+ * @param {Array<MutationRecord>} mutations - Records from the content observer
+ */
+function recordAddedElements(mutations) {
+  if (!dockedLayout) {
+    return;
+  }
   
-  // Check if domain is in list
-  const index = customDomains.indexOf(currentDomain);
-  if (index !== -1) {
-    // Remove domain from allowed list if present
-    customDomains.splice(index, 1);
-    localStorage.setItem('any-toc-allowed-domains', JSON.stringify(customDomains));
-    // console.log('Removed domain from allowed list:', currentDomain);
+  for (const mutation of mutations) {
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && !isTocUi(node)) {
+        addedPageElements.add(node);
+      }
+    });
   }
+}
+
+/**
+ * Finds the fixed-position element a node is part of
+ * @param {Element} node - Element found on the page
+ * @param {Map<Element, Element|null>} checked - Results so far, shared across calls
+ * @returns {Element|null} The fixed element, or null if the node scrolls with the page
+ */
+function findFixedAncestor(node, checked) {
+  const visited = [];
+  let result = null;
   
-  // Check if domain is in built-in allowed domains
-  let isDomainInBuiltInList = false;
-  for (const domain of CONFIG.ALLOWED_DOMAINS) {
-    if (currentDomain.includes(domain)) {
-      isDomainInBuiltInList = true;
+  for (let element = node; element && element !== document.body && element !== document.documentElement;
+    element = element.parentElement) {
+    if (checked.has(element)) {
+      result = checked.get(element);
+      break;
+    }
+    visited.push(element);
+    if (isTocUi(element)) {
       break;
     }
+    if (getComputedStyle(element).position === 'fixed') {
+      result = element;
+      break;
+    }
+  }
+  
+  visited.forEach(element => checked.set(element, result));
+  return result;
+}
+
+/**
+ * Overrides an inline style of a page element for the docked layout,
+ * remembering the original value the first time
+ * @param {HTMLElement} element - Page element
+ * @param {string} property - CSS property
+ * @param {string} value - Value to apply
+ */
+function setDockedStyle(element, property, value) {
+  let saved = dockedStyles.get(element);
+  if (!saved) {
+    saved = { hadStyle: element.hasAttribute('style'), properties: {} };
+    dockedStyles.set(element, saved);
+  }
+  if (!(property in saved.properties)) {
+    saved.properties[property] = {
+      value: element.style.getPropertyValue(property),
+      priority: element.style.getPropertyPriority(property)
+    };
+  }
+  element.style.setProperty(property, value, 'important');
+}
+
+/**
+ * Puts back every inline style changed for the docked layout
+ */
+function restorePageLayout() {
+  dockedStyles.forEach((saved, element) => {
+    for (const [property, original] of Object.entries(saved.properties)) {
+      if (original.value) {
+        element.style.setProperty(property, original.value, original.priority);
+      } else {
+        element.style.removeProperty(property);
+      }
+    }
+    if (!saved.hadStyle && !element.getAttribute('style')) {
+      element.removeAttribute('style');
+    }
+  });
+  dockedStyles = new Map();
+  dockedLayout = null;
+  addedPageElements = new Set();
+}
+
+/**
+ * Returns the saved sidebar geometry with defaults for missing values
+ * @returns {Object} { width, height, top, left } in px
+ */
+function getSidebarGeometry() {
+  return { ...TOCSettings.SITE_DEFAULTS.geometry, ...(getSiteSettings().geometry || {}) };
+}
+
+/**
+ * Fits a geometry into the window so the sidebar stays reachable
+ * @param {Object} geometry - { width, height, top, left } in px
+ * @returns {Object} The clamped geometry, rounded to whole pixels
+ */
+function clampGeometry(geometry) {
+  const clamp = (value, min, max) => Math.round(Math.min(Math.max(value, min), Math.max(min, max)));
+  const defaults = TOCSettings.SITE_DEFAULTS.geometry;
+  
+  const width = clamp(Number(geometry.width) || defaults.width, SIDEBAR_MIN_WIDTH,
+    window.innerWidth - 2 * SIDEBAR_MARGIN);
+  const top = clamp(Number(geometry.top) || 0, 0, window.innerHeight - SIDEBAR_MIN_HEIGHT);
+  const height = geometry.height
+    ? clamp(Number(geometry.height), SIDEBAR_MIN_HEIGHT, window.innerHeight - top)
+    : null;
+  const left = geometry.left === null || geometry.left === undefined
+    ? null
+    : clamp(Number(geometry.left) || 0, 0, window.innerWidth - width);
+  
+  return { width, height, top, left };
+}
+
+/**
+ * Keeps the sidebar inside the window when the window is resized, at most
+ * once per animation frame. The page is docked again only once the resize
+ * has settled.
+ */
+function handleWindowResize() {
+  if (sidebarGesture) {
+    return;
+  }
+  
+  clearTimeout(windowResizeTimer);
+  windowResizeTimer = setTimeout(() => {
+    windowResizeTimer = null;
+    updatePageDocking(true);
+  }, DOCK_RESIZE_DELAY);
+  
+  if (windowResizeFrame) {
+    return;
+  }
+  windowResizeFrame = requestAnimationFrame(() => {
+    windowResizeFrame = null;
+    applyPosition(getSiteSettings().position);
+  });
+}
+
+/**
+ * Creates a handle for resizing the sidebar with the pointer or the arrow keys
+ * @param {string} dimension - 'width' or 'height'
+ * @returns {HTMLElement} The handle element
+ */
+function createResizeHandle(dimension) {
+  const handle = document.createElement('div');
+  handle.id = `any-toc-resize-${dimension}`;
+  handle.className = `any-toc-resize any-toc-resize-${dimension}`;
+  handle.tabIndex = 0;
+  handle.setAttribute('role', 'separator');
+  handle.setAttribute('aria-orientation', dimension === 'width' ? 'vertical' : 'horizontal');
+  handle.setAttribute('aria-label', dimension === 'width' ? 'Resize width' : 'Resize height');
+  handle.setAttribute('aria-valuemin', String(dimension === 'width' ? SIDEBAR_MIN_WIDTH : SIDEBAR_MIN_HEIGHT));
+  
+  handle.addEventListener('pointerdown', (e) => startSidebarGesture(e, dimension));
+  handle.addEventListener('keydown', (e) => handleResizeKeydown(e, dimension));
+  return handle;
+}
+
+/**
+ * Updates the resize handles' ARIA values to the sidebar's size
+ * @param {Object} bounds - Clamped geometry
+ */
+function updateResizeHandles(bounds) {
+  const widthHandle = getTocElement('any-toc-resize-width');
+  const heightHandle = getTocElement('any-toc-resize-height');
+  
+  if (widthHandle) {
+    widthHandle.setAttribute('aria-valuenow', String(bounds.width));
+    widthHandle.setAttribute('aria-valuemax', String(Math.max(SIDEBAR_MIN_WIDTH, window.innerWidth - 2 * SIDEBAR_MARGIN)));
+  }
+  if (heightHandle) {
+    const height = bounds.height || Math.round(getTocElement('any-toc-sidebar').getBoundingClientRect().height);
+    heightHandle.setAttribute('aria-valuenow', String(height));
+    heightHandle.setAttribute('aria-valuemax', String(Math.max(SIDEBAR_MIN_HEIGHT, window.innerHeight - bounds.top)));
+  }
+}
+
+/**
+ * Starts dragging the sidebar or one of its resize handles
+ * @param {PointerEvent} e - The pointerdown event
+ * @param {string} type - 'move', 'width' or 'height'
+ */
+function startSidebarGesture(e, type) {
+  // Buttons and the depth slider in the header and toolbar keep working
+  if (e.button !== 0 || (type === 'move' && e.target.closest('button, input, label'))) {
+    return;
+  }
+  
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const target = e.currentTarget;
+  sidebarGesture = {
+    type,
+    pointerId: e.pointerId,
+    startX: e.clientX,
+    startY: e.clientY,
+    startRect: tocSidebar.getBoundingClientRect()
+  };
+  
+  // Follow the pointer even when it leaves the handle
+  target.setPointerCapture(e.pointerId);
+  target.addEventListener('pointermove', moveSidebarGesture);
+  target.addEventListener('pointerup', endSidebarGesture);
+  target.addEventListener('pointercancel', endSidebarGesture);
+  tocSidebar.classList.add('any-toc-dragging');
+  e.preventDefault();
+}
+
+/**
+ * Moves or resizes the sidebar while the pointer is dragged
+ * @param {PointerEvent} e - The pointermove event
+ */
+function moveSidebarGesture(e) {
+  if (!sidebarGesture || e.pointerId !== sidebarGesture.pointerId) {
+    return;
+  }
+  
+  const layout = getGestureLayout(e, false);
+  applyPosition(layout.position, layout.geometry);
+}
+
+/**
+ * Finishes a drag, docking the sidebar if it was dropped near an edge,
+ * and saves the new geometry for the site
+ * @param {PointerEvent} e - The pointerup or pointercancel event
+ */
+function endSidebarGesture(e) {
+  const target = e.currentTarget;
+  target.removeEventListener('pointermove', moveSidebarGesture);
+  target.removeEventListener('pointerup', endSidebarGesture);
+  target.removeEventListener('pointercancel', endSidebarGesture);
+  
+  if (!sidebarGesture || e.pointerId !== sidebarGesture.pointerId) {
+    return;
   }
   
-  // If domain is in built-in list, add it to disallowed list
-  if (isDomainInBuiltInList) {
-    // Add to disallowed domains list
-    let disallowedDomains = [...DISALLOWED_DOMAINS];
-    if (!disallowedDomains.includes(currentDomain)) {
-      disallowedDomains.push(currentDomain);
-      localStorage.setItem('any-toc-disallowed-domains', JSON.stringify(disallowedDomains));
-      // console.log('Added domain to disallowed list:', currentDomain);
+  const layout = getGestureLayout(e, true);
+  sidebarGesture = null;
+  getTocElement('any-toc-sidebar').classList.remove('any-toc-dragging');
+  
+  applyPosition(layout.position, layout.geometry);
+  saveSiteSettings({ position: layout.position, geometry: clampGeometry(layout.geometry) });
+}
+
+/**
+ * Works out the sidebar's placement from the pointer's movement so far
+ * @param {PointerEvent} e - Latest pointer event
+ * @param {boolean} snap - Dock at an edge the sidebar is close to
+ * @returns {Object} { position, geometry }
+ */
+function getGestureLayout(e, snap) {
+  const { type, startX, startY, startRect } = sidebarGesture;
+  const dx = e.clientX - startX;
+  const dy = e.clientY - startY;
+  
+  let position = getSidebarPosition(getTocElement('any-toc-sidebar'));
+  const geometry = { ...getSidebarGeometry() };
+  
+  if (type === 'move') {
+    position = 'floating';
+    geometry.left = startRect.left + dx;
+    geometry.top = startRect.top + dy;
+    
+    if (snap) {
+      if (geometry.left < SIDEBAR_SNAP_DISTANCE) {
+        position = 'left';
+      } else if (window.innerWidth - (geometry.left + startRect.width) < SIDEBAR_SNAP_DISTANCE) {
+        position = 'right';
+      }
+      if (geometry.top < SIDEBAR_SNAP_DISTANCE) {
+        geometry.top = SIDEBAR_MARGIN;
+      }
+    }
+  } else {
+    if (type === 'width') {
+      // The width handle is on the left edge of a sidebar docked on the right
+      geometry.width = position === 'right' ? startRect.width - dx : startRect.width + dx;
+    } else {
+      geometry.height = startRect.height + dy;
     }
+    geometry.top = startRect.top;
+    if (position === 'floating') {
+      geometry.left = startRect.left;
+    }
+  }
+  
+  return { position, geometry };
+}
+
+/**
+ * Resizes the sidebar with the arrow keys while a resize handle is focused
+ * @param {KeyboardEvent} e - Keydown event
+ * @param {string} dimension - 'width' or 'height'
+ */
+function handleResizeKeydown(e, dimension) {
+  const keys = dimension === 'width'
+    ? { ArrowLeft: -1, ArrowRight: 1 }
+    : { ArrowUp: -1, ArrowDown: 1 };
+  if (!(e.key in keys)) {
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+  
+  const tocSidebar = getTocElement('any-toc-sidebar');
+  const position = getSidebarPosition(tocSidebar);
+  const rect = tocSidebar.getBoundingClientRect();
+  const geometry = { ...getSidebarGeometry(), top: rect.top };
+  
+  // Arrow keys move the handle, which is on the left edge of a sidebar docked on the right
+  const direction = dimension === 'width' && position === 'right' ? -keys[e.key] : keys[e.key];
+  if (dimension === 'width') {
+    geometry.width = rect.width + direction * SIDEBAR_RESIZE_STEP;
+  } else {
+    geometry.height = rect.height + direction * SIDEBAR_RESIZE_STEP;
+  }
+  if (position === 'floating') {
+    geometry.left = rect.left;
+  }
+  
+  applyPosition(position, geometry);
+  saveSiteSettings({ geometry: clampGeometry(geometry) });
+}
+
+/**
+ * Removes the current domain from the allowed list, for the popup's disallowPage command
+ * @returns {Promise<boolean>} True once the settings are saved
+ */
+async function removeCurrentDomainFromAllowList() {
+  const currentDomain = window.location.hostname;
+  if (!currentDomain) {
+    console.error('Cannot remove empty domain from allow list');
+    return false;
+  }
+  
+  // Remove domain from allowed list if present
+  const allowedDomains = await TOCSettings.update('allowedDomains', domains =>
+    domains.filter(domain => domain !== currentDomain));
+  // console.log('Removed domain from allowed list:', currentDomain);
+  
+  // If a built-in site, wildcard or URL pattern still enables the page, disallow the host explicitly
+  if (TOCRules.evaluate(window.location.href, { ...settings, allowedDomains }).allowed) {
+    await TOCSettings.update('disallowedDomains', domains =>
+      domains.includes(currentDomain) ? domains : [...domains, currentDomain]);
+    // console.log('Added domain to disallowed list:', currentDomain);
   }
   
-  // Reload the page to deactivate TOC
-  window.location.reload();
+  // Every tab on this domain removes its TOC through the settings change event
   return true;
-};
+}
 
 /**
- * Adds the current domain to the allowed list
- * Can be called from popup
+ * Adds the current domain to the allowed list, for the popup's allowPage command
+ * @returns {Promise<boolean>} True once the settings are saved
  */
-window.addCurrentDomainToAllowList = function() {
+async function addCurrentDomainToAllowList() {
   const currentDomain = window.location.hostname;
   if (!currentDomain) {
     console.error('Cannot add empty domain to allow list');
@@ -1044,59 +5142,28 @@ window.addCurrentDomainToAllowList = function() {
   }
   
   // First remove from disallowed domains if present
-  let disallowedDomains = [...DISALLOWED_DOMAINS];
-  const disallowedIndex = disallowedDomains.indexOf(currentDomain);
-  if (disallowedIndex !== -1) {
-    disallowedDomains.splice(disallowedIndex, 1);
-    localStorage.setItem('any-toc-disallowed-domains', JSON.stringify(disallowedDomains));
-    // console.log('Removed domain from disallowed list:', currentDomain);
-  }
-  
-  // Check if domain is already in built-in allowed list
-  for (const domain of CONFIG.ALLOWED_DOMAINS) {
-    if (currentDomain.includes(domain)) {
-      // console.log('Domain already in built-in allowed list, no need to add to custom list');
-      // Reload the page to activate TOC
-      window.location.reload();
-      return true;
-    }
-  }
+  const disallowedDomains = await TOCSettings.update('disallowedDomains', domains =>
+    domains.filter(domain => domain !== currentDomain));
+  // console.log('Removed domain from disallowed list:', currentDomain);
   
-  // Otherwise add to custom allowed domains
-  let customDomains = [];
-  const storedDomains = localStorage.getItem('any-toc-allowed-domains');
-  
-  if (storedDomains) {
-    try {
-      customDomains = JSON.parse(storedDomains);
-      if (!Array.isArray(customDomains)) {
-        customDomains = [];
-      }
-    } catch (e) {
-      console.error('Error parsing custom domains:', e);
-    }
-  }
+  const decision = TOCRules.evaluate(window.location.href, { ...settings, disallowedDomains });
   
-  // Check if domain is already in list
-  if (customDomains.includes(currentDomain)) {
-    // console.log('Domain already in allowed list:', currentDomain);
+  // Check if another rule already enables the page
+  if (decision.allowed) {
+    // console.log('Page already allowed by:', decision.rule);
     return true;
   }
   
-  // Add domain to list
-  customDomains.push(currentDomain);
-  localStorage.setItem('any-toc-allowed-domains', JSON.stringify(customDomains));
+  // A broader disallow rule such as *.example.com cannot be overridden from here
+  if (decision.rule && !decision.rule.allow) {
+    throw new Error(`Disabled by the site rule "${decision.rule.value}". Edit it on the options page.`);
+  }
+  
+  // Otherwise add to custom allowed domains
+  await TOCSettings.update('allowedDomains', domains =>
+    domains.includes(currentDomain) ? domains : [...domains, currentDomain]);
   // console.log('Added domain to allowed list:', currentDomain);
   
-  // Reload the page to activate TOC
-  window.location.reload();
+  // Every tab on this domain shows its TOC through the settings change event
   return true;
-};
-
-/**
- * Checks if the current domain is in the allowed list
- * Can be called from popup
- */
-window.isCurrentDomainAllowed = function() {
-  return isAllowedPage();
-};
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,737 @@
+/**
+ * Options page script for managing the sites and URL patterns where the
+ * TOC is enabled, testing URLs against those rules, and editing site profiles.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Get references to UI elements
+  const testUrlInput = document.getElementById('test-url');
+  const testResult = document.getElementById('test-result');
+  const builtInList = document.getElementById('built-in-list');
+  const allowedList = document.getElementById('allowed-list');
+  const allowedForm = document.getElementById('allowed-form');
+  const allowedInput = document.getElementById('allowed-input');
+  const disallowedList = document.getElementById('disallowed-list');
+  const disallowedForm = document.getElementById('disallowed-form');
+  const disallowedInput = document.getElementById('disallowed-input');
+  const patternList = document.getElementById('pattern-list');
+  const patternForm = document.getElementById('pattern-form');
+  const patternTypeSelect = document.getElementById('pattern-type');
+  const patternInput = document.getElementById('pattern-input');
+  const patternFeedback = document.getElementById('pattern-feedback');
+  const levelCheckboxes = document.querySelectorAll('#heading-levels input[type="checkbox"]');
+  const profileList = document.getElementById('profile-list');
+  const profileForm = document.getElementById('profile-form');
+  const profileSiteInput = document.getElementById('profile-site');
+  const profileRootInput = document.getElementById('profile-root');
+  const profileHeadingsInput = document.getElementById('profile-headings');
+  const profileExcludeInput = document.getElementById('profile-exclude');
+  const profileCleanupInput = document.getElementById('profile-cleanup');
+  const profileUserMessagesInput = document.getElementById('profile-user-messages');
+  const profileAssistantMessagesInput = document.getElementById('profile-assistant-messages');
+  const profilePreserveDomInput = document.getElementById('profile-preserve-dom');
+  const profileSaveButton = document.getElementById('profile-save');
+  const profileCancelButton = document.getElementById('profile-cancel');
+  const profileFeedback = document.getElementById('profile-feedback');
+  const exportProfilesButton = document.getElementById('export-profiles');
+  const importProfilesButton = document.getElementById('import-profiles');
+  const importFileInput = document.getElementById('import-file');
+
+  // Index of the custom profile loaded into the form, or null when adding
+  let editingProfileIndex = null;
+
+  // Current settings, refreshed whenever they change
+  let settings = TOCSettings.getDefaults();
+
+  TOCSettings.getAll().then(values => {
+    settings = values;
+    render();
+  }).catch(error => {
+    console.error('Error loading settings:', error);
+  });
+
+  // Re-render when settings are changed here, in the popup or in a tab
+  TOCSettings.onChanged(changes => {
+    for (const [key, change] of Object.entries(changes)) {
+      settings[key] = change.newValue;
+    }
+    render();
+  });
+
+  // Re-evaluate the rules as the test URL is typed
+  testUrlInput.addEventListener('input', function() {
+    render();
+    updatePatternFeedback();
+  });
+
+  // Handle adding an allowed domain
+  allowedForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const error = TOCRules.validateSiteRule(allowedInput.value);
+    if (error) {
+      allowedInput.setCustomValidity(error);
+      allowedInput.reportValidity();
+      return;
+    }
+
+    addDomain('allowedDomains', TOCRules.normalizeDomain(allowedInput.value)).then(() => {
+      allowedInput.value = '';
+    });
+  });
+
+  // Handle adding a disallowed domain
+  disallowedForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const error = TOCRules.validateSiteRule(disallowedInput.value);
+    if (error) {
+      disallowedInput.setCustomValidity(error);
+      disallowedInput.reportValidity();
+      return;
+    }
+
+    addDomain('disallowedDomains', TOCRules.normalizeDomain(disallowedInput.value)).then(() => {
+      disallowedInput.value = '';
+    });
+  });
+
+  // Clear validation errors as soon as the site entry is edited
+  [allowedInput, disallowedInput].forEach(input => {
+    input.addEventListener('input', () => input.setCustomValidity(''));
+  });
+
+  // Handle adding a URL pattern
+  patternForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const rule = { type: patternTypeSelect.value, pattern: patternInput.value.trim() };
+    const error = TOCRules.validatePattern(rule);
+    if (error) {
+      showPatternFeedback(error, true);
+      return;
+    }
+
+    TOCSettings.update('urlPatterns', patterns => {
+      const exists = patterns.some(p => p.type === rule.type && p.pattern === rule.pattern);
+      return exists ? patterns : [...patterns, rule];
+    }).then(() => {
+      patternInput.value = '';
+      patternFeedback.classList.add('hidden');
+    }).catch(error => {
+      console.error('Error adding URL pattern:', error);
+      showPatternFeedback('Failed to save pattern', true);
+    });
+  });
+
+  // Save the heading levels whenever a checkbox changes
+  levelCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', function() {
+      const levels = Array.from(levelCheckboxes)
+        .filter(box => box.checked)
+        .map(box => Number(box.value));
+
+      // At least one level must stay enabled
+      if (levels.length === 0) {
+        checkbox.checked = true;
+        return;
+      }
+
+      TOCSettings.set({ headingLevels: levels }).catch(error => {
+        console.error('Error saving heading levels:', error);
+      });
+    });
+  });
+
+  // Validate and test the draft pattern as it is typed
+  patternInput.addEventListener('input', updatePatternFeedback);
+  patternTypeSelect.addEventListener('change', updatePatternFeedback);
+
+  // Handle adding or saving a site profile
+  profileForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    let profile;
+    try {
+      profile = readProfileForm();
+    } catch (error) {
+      showFeedback(profileFeedback, error.message, true);
+      return;
+    }
+
+    const index = editingProfileIndex;
+    TOCSettings.update('siteProfiles', profiles => {
+      const duplicate = profiles.findIndex(existing => existing.site === profile.site);
+      if (duplicate !== -1 && duplicate !== index) {
+        throw new Error(`A profile for ${profile.site} already exists`);
+      }
+
+      const updated = [...profiles];
+      if (index === null) {
+        updated.push(profile);
+      } else {
+        updated[index] = profile;
+      }
+      return updated;
+    }).then(() => {
+      resetProfileForm();
+      showFeedback(profileFeedback, `Saved profile for ${profile.site}`, false);
+    }).catch(error => {
+      console.error('Error saving site profile:', error);
+      showFeedback(profileFeedback, error.message, true);
+    });
+  });
+
+  profileCancelButton.addEventListener('click', resetProfileForm);
+
+  // Download the custom profiles as a JSON file
+  exportProfilesButton.addEventListener('click', function() {
+    if (settings.siteProfiles.length === 0) {
+      showFeedback(profileFeedback, 'There are no custom profiles to export', true);
+      return;
+    }
+
+    TOCOutline.download(TOCProfiles.exportProfiles(settings.siteProfiles), 'gen-toc-profiles.json', 'application/json');
+  });
+
+  importProfilesButton.addEventListener('click', () => importFileInput.click());
+
+  // Merge profiles from a JSON file, replacing profiles for the same sites
+  importFileInput.addEventListener('change', function() {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text().then(text => {
+      const imported = TOCProfiles.parseImport(text);
+      return TOCSettings.update('siteProfiles', profiles => TOCProfiles.mergeProfiles(profiles, imported))
+        .then(() => imported.length);
+    }).then(count => {
+      showFeedback(profileFeedback, `Imported ${count} profile${count === 1 ? '' : 's'}`, false);
+    }).catch(error => {
+      console.error('Error importing site profiles:', error);
+      showFeedback(profileFeedback, `Import failed: ${error.message}`, true);
+    });
+  });
+
+  /**
+   * Renders the heading levels, the rule lists and the test result
+   */
+  function render() {
+    const testUrl = testUrlInput.value.trim();
+    const decision = testUrl ? TOCRules.evaluate(testUrl, settings) : null;
+
+    levelCheckboxes.forEach(checkbox => {
+      checkbox.checked = settings.headingLevels.includes(Number(checkbox.value));
+    });
+
+    renderTestResult(testUrl, decision);
+    renderProfileList(testUrl);
+    renderBuiltInList(testUrl, decision);
+
+    renderRuleList(allowedList, settings.allowedDomains.map((domain, index) => ({
+      label: domain,
+      matches: matchesTestUrl({ kind: 'domain', value: domain }, testUrl),
+      decided: isDecidingRule(decision, 'custom', 'domain', domain),
+      onSave: value => replaceDomain('allowedDomains', index, value),
+      onRemove: () => removeAt('allowedDomains', index)
+    })), 'No custom sites yet');
+
+    renderRuleList(disallowedList, settings.disallowedDomains.map((domain, index) => ({
+      label: domain,
+      matches: matchesTestUrl({ kind: 'domain', value: domain }, testUrl),
+      decided: isDecidingRule(decision, 'disallowed', 'domain', domain),
+      onSave: value => replaceDomain('disallowedDomains', index, value),
+      onRemove: () => removeAt('disallowedDomains', index)
+    })), 'No disabled sites');
+
+    renderRuleList(patternList, settings.urlPatterns.map((rule, index) => ({
+      label: rule.pattern,
+      badge: rule.type,
+      patternType: rule.type,
+      matches: matchesTestUrl({ kind: rule.type, value: rule.pattern }, testUrl),
+      decided: isDecidingRule(decision, 'custom', rule.type, rule.pattern),
+      onSave: (value, type) => replacePattern(index, { type, pattern: value }),
+      onRemove: () => removeAt('urlPatterns', index)
+    })), 'No URL patterns yet');
+  }
+
+  /**
+   * Shows whether the test URL gets a TOC and which rule decided it
+   * @param {string} testUrl - URL entered by the user
+   * @param {Object|null} decision - Result of TOCRules.evaluate
+   */
+  function renderTestResult(testUrl, decision) {
+    testResult.classList.remove('success', 'error');
+
+    if (!testUrl) {
+      testResult.textContent = 'Enter a URL to test';
+      return;
+    }
+
+    if (!isValidUrl(testUrl)) {
+      testResult.textContent = 'Not a valid URL';
+      testResult.classList.add('error');
+      return;
+    }
+
+    const verdict = decision.allowed ? 'TOC enabled' : 'TOC disabled';
+    testResult.textContent = `${verdict}: ${TOCRules.describeRule(decision.rule)}`;
+    testResult.classList.add(decision.allowed ? 'success' : 'error');
+  }
+
+  /**
+   * Renders the custom and built-in site profiles
+   * @param {string} testUrl - URL entered by the user
+   */
+  function renderProfileList(testUrl) {
+    const active = testUrl && isValidUrl(testUrl)
+      ? TOCProfiles.findProfile(testUrl, settings.siteProfiles)
+      : null;
+
+    const items = settings.siteProfiles.map((profile, index) => ({
+      label: profile.site,
+      badge: describeProfile(profile),
+      matches: matchesTestUrl({ kind: 'domain', value: profile.site }, testUrl),
+      decided: Boolean(active && active.source === 'custom' && active.profile.site === profile.site),
+      actions: [{ label: 'Edit', onClick: () => editProfile(profile, index) }],
+      onRemove: () => removeAt('siteProfiles', index)
+    }));
+
+    TOCProfiles.BUILT_IN_PROFILES.forEach(profile => {
+      const overridden = settings.siteProfiles.some(custom => custom.site === profile.site);
+      items.push({
+        label: profile.site,
+        badge: overridden ? 'built-in, replaced' : 'built-in',
+        matches: matchesTestUrl({ kind: 'domain', value: profile.site }, testUrl),
+        decided: Boolean(active && active.source === 'built-in' && active.profile.site === profile.site),
+        actions: overridden ? [] : [{ label: 'Customize', onClick: () => editProfile(profile, null) }]
+      });
+    });
+
+    renderRuleList(profileList, items, 'No site profiles');
+  }
+
+  /**
+   * Summarizes what a profile changes, for its badge
+   * @param {Object} profile - Site profile
+   * @returns {string} Short summary
+   */
+  function describeProfile(profile) {
+    const parts = [];
+    if (profile.contentRoot) {
+      parts.push(`root ${profile.contentRoot}`);
+    }
+    if (profile.headings.length > 0) {
+      parts.push(`${profile.headings.length} heading rule${profile.headings.length === 1 ? '' : 's'}`);
+    }
+    if (profile.exclude.length > 0) {
+      parts.push(`${profile.exclude.length} exclusion${profile.exclude.length === 1 ? '' : 's'}`);
+    }
+    if (profile.cleanup.length > 0) {
+      parts.push(`${profile.cleanup.length} cleanup rule${profile.cleanup.length === 1 ? '' : 's'}`);
+    }
+    if (profile.userMessages) {
+      parts.push('conversation');
+    }
+    if (profile.preserveDom) {
+      parts.push('markup untouched');
+    }
+    return parts.join(', ') || 'no changes';
+  }
+
+  /**
+   * Loads a profile into the form
+   * @param {Object} profile - Profile to edit
+   * @param {number|null} index - Index of the custom profile, or null to save it as a new one
+   */
+  function editProfile(profile, index) {
+    editingProfileIndex = index;
+    profileSiteInput.value = profile.site;
+    profileRootInput.value = profile.contentRoot;
+    profileHeadingsInput.value = profile.headings.map(rule => `${rule.selector} = ${rule.level}`).join('\n');
+    profileExcludeInput.value = profile.exclude.join('\n');
+    profileCleanupInput.value = profile.cleanup
+      .map(rule => rule.replacement ? `${rule.pattern} => ${rule.replacement}` : rule.pattern)
+      .join('\n');
+    profileUserMessagesInput.value = profile.userMessages || '';
+    profileAssistantMessagesInput.value = profile.assistantMessages || '';
+    profilePreserveDomInput.checked = Boolean(profile.preserveDom);
+
+    profileSaveButton.textContent = index === null ? 'Add Profile' : 'Save Profile';
+    profileCancelButton.classList.remove('hidden');
+    profileFeedback.classList.add('hidden');
+    profileSiteInput.focus();
+  }
+
+  /**
+   * Empties the profile form and leaves edit mode
+   */
+  function resetProfileForm() {
+    editingProfileIndex = null;
+    profileForm.reset();
+    profileSaveButton.textContent = 'Add Profile';
+    profileCancelButton.classList.add('hidden');
+  }
+
+  /**
+   * Reads and validates the profile in the form
+   * @returns {Object} Normalized profile
+   * @throws {Error} If a line cannot be parsed or the profile is invalid
+   */
+  function readProfileForm() {
+    const headings = splitLines(profileHeadingsInput.value).map(line => {
+      const match = /^(.*\S)\s*=\s*(\d+)$/.exec(line);
+      if (!match) {
+        throw new Error(`"${line}" should look like "selector = level"`);
+      }
+      return { selector: match[1], level: Number(match[2]) };
+    });
+
+    const cleanup = splitLines(profileCleanupInput.value).map(line => {
+      const match = /^(.*?)\s+=>(?:\s(.*))?$/.exec(line);
+      return match
+        ? { pattern: match[1], replacement: match[2] || '' }
+        : { pattern: line, replacement: '' };
+    });
+
+    const profile = TOCProfiles.normalizeProfile({
+      site: profileSiteInput.value,
+      contentRoot: profileRootInput.value,
+      headings,
+      exclude: splitLines(profileExcludeInput.value),
+      cleanup,
+      userMessages: profileUserMessagesInput.value,
+      assistantMessages: profileAssistantMessagesInput.value,
+      preserveDom: profilePreserveDomInput.checked
+    });
+
+    const error = TOCProfiles.validateProfile(profile);
+    if (error) {
+      throw new Error(error);
+    }
+    return profile;
+  }
+
+  /**
+   * Splits textarea contents into trimmed, non-empty lines
+   * @param {string} text - Textarea value
+   * @returns {Array<string>} Lines
+   */
+  function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Renders the read-only list of built-in domains and patterns
+   * @param {string} testUrl - URL entered by the user
+   * @param {Object|null} decision - Result of TOCRules.evaluate
+   */
+  function renderBuiltInList(testUrl, decision) {
+    const items = TOCRules.BUILT_IN_DOMAINS.map(domain => {
+      const disabled = settings.disallowedDomains.some(entry => TOCRules.matchesSite(`https://${domain}/`, entry));
+      return {
+        label: domain,
+        badge: disabled ? 'disabled' : null,
+        matches: matchesTestUrl({ kind: 'domain', value: domain }, testUrl),
+        decided: isDecidingRule(decision, 'built-in', 'domain', domain),
+        actions: disabled ? [] : [{
+          label: 'Disable',
+          onClick: () => addDomain('disallowedDomains', domain)
+        }]
+      };
+    });
+
+    TOCRules.BUILT_IN_PATTERNS.forEach(rule => {
+      items.push({
+        label: rule.pattern,
+        badge: rule.type,
+        matches: matchesTestUrl({ kind: rule.type, value: rule.pattern }, testUrl),
+        decided: isDecidingRule(decision, 'built-in', rule.type, rule.pattern),
+        actions: []
+      });
+    });
+
+    renderRuleList(builtInList, items, 'No built-in sites');
+  }
+
+  /**
+   * Renders a list of rules with edit and remove controls
+   * @param {HTMLElement} list - The list element to fill
+   * @param {Array} items - Items with label, badge, matches, decided, onSave, onRemove and actions
+   * @param {string} emptyText - Text shown when there are no items
+   */
+  function renderRuleList(list, items, emptyText) {
+    list.replaceChildren();
+
+    if (items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = emptyText;
+      list.appendChild(empty);
+      return;
+    }
+
+    items.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'rule-row';
+      row.classList.toggle('matches', item.matches);
+      row.classList.toggle('decided', item.decided);
+
+      const label = document.createElement('span');
+      label.className = 'rule-label';
+      label.textContent = item.label;
+      row.appendChild(label);
+
+      if (item.badge) {
+        const badge = document.createElement('span');
+        badge.className = 'rule-badge';
+        badge.textContent = item.badge;
+        row.appendChild(badge);
+      }
+
+      if (item.matches) {
+        const marker = document.createElement('span');
+        marker.className = 'rule-marker';
+        marker.textContent = item.decided ? 'decides test URL' : 'matches test URL';
+        row.appendChild(marker);
+      }
+
+      const actions = document.createElement('span');
+      actions.className = 'rule-actions';
+
+      (item.actions || []).forEach(action => {
+        actions.appendChild(createButton(action.label, action.onClick));
+      });
+
+      if (item.onSave) {
+        actions.appendChild(createButton('Edit', () => startEditing(row, item)));
+      }
+
+      if (item.onRemove) {
+        actions.appendChild(createButton('Remove', item.onRemove, 'danger'));
+      }
+
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Replaces a rule row with an inline editor
+   * @param {HTMLElement} row - The row to edit
+   * @param {Object} item - The rule item being edited
+   */
+  function startEditing(row, item) {
+    const form = document.createElement('form');
+    form.className = 'rule-form';
+
+    let typeSelect = null;
+    if (item.patternType) {
+      typeSelect = patternTypeSelect.cloneNode(true);
+      typeSelect.removeAttribute('id');
+      typeSelect.value = item.patternType;
+      form.appendChild(typeSelect);
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = item.label;
+    form.appendChild(input);
+
+    const error = document.createElement('span');
+    error.className = 'rule-error';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.textContent = 'Save';
+    form.appendChild(saveButton);
+    form.appendChild(createButton('Cancel', render));
+    form.appendChild(error);
+
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      Promise.resolve(item.onSave(input.value, typeSelect && typeSelect.value)).catch(saveError => {
+        error.textContent = saveError.message;
+      });
+    });
+
+    row.replaceChildren(form);
+    input.focus();
+  }
+
+  /**
+   * Creates a small action button
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @param {string} [variant] - Extra class name for styling
+   * @returns {HTMLButtonElement} The button
+   */
+  function createButton(text, onClick, variant) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.className = variant ? `small ${variant}` : 'small';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Adds a domain to a domain list setting if not already present
+   * @param {string} key - 'allowedDomains' or 'disallowedDomains'
+   * @param {string} domain - Normalized domain
+   * @returns {Promise<void>}
+   */
+  function addDomain(key, domain) {
+    return TOCSettings.update(key, domains => {
+      return domains.includes(domain) ? domains : [...domains, domain];
+    }).catch(error => {
+      console.error(`Error adding domain to ${key}:`, error);
+    });
+  }
+
+  /**
+   * Replaces one entry of a domain list setting
+   * @param {string} key - 'allowedDomains' or 'disallowedDomains'
+   * @param {number} index - Index of the entry
+   * @param {string} value - New domain as typed by the user
+   * @returns {Promise<void>}
+   */
+  async function replaceDomain(key, index, value) {
+    const error = TOCRules.validateSiteRule(value);
+    if (error) {
+      throw new Error(error);
+    }
+    const domain = TOCRules.normalizeDomain(value);
+
+    await TOCSettings.update(key, domains => {
+      const updated = [...domains];
+      updated[index] = domain;
+      return [...new Set(updated)];
+    });
+  }
+
+  /**
+   * Replaces one URL pattern
+   * @param {number} index - Index of the pattern
+   * @param {Object} rule - New { type, pattern }
+   * @returns {Promise<void>}
+   */
+  async function replacePattern(index, rule) {
+    const trimmed = { type: rule.type, pattern: rule.pattern.trim() };
+    const error = TOCRules.validatePattern(trimmed);
+    if (error) {
+      throw new Error(error);
+    }
+
+    await TOCSettings.update('urlPatterns', patterns => {
+      const updated = [...patterns];
+      updated[index] = trimmed;
+      return updated;
+    });
+  }
+
+  /**
+   * Removes one entry of a list setting
+   * @param {string} key - Setting name
+   * @param {number} index - Index of the entry
+   */
+  function removeAt(key, index) {
+    TOCSettings.update(key, items => items.filter((item, i) => i !== index)).catch(error => {
+      console.error(`Error removing entry from ${key}:`, error);
+    });
+  }
+
+  /**
+   * Checks whether a single rule matches the test URL
+   * @param {Object} rule - { kind: 'domain'|'regex'|'glob', value }
+   * @param {string} testUrl - URL entered by the user
+   * @returns {boolean} True if the rule matches
+   */
+  function matchesTestUrl(rule, testUrl) {
+    if (!testUrl || !isValidUrl(testUrl)) {
+      return false;
+    }
+
+    if (rule.kind === 'domain') {
+      return TOCRules.matchesSite(testUrl, rule.value);
+    }
+    return TOCRules.testPattern({ type: rule.kind, pattern: rule.value }, testUrl);
+  }
+
+  /**
+   * Checks whether a rule is the one that decided the test URL
+   * @param {Object|null} decision - Result of TOCRules.evaluate
+   * @param {string} source - Rule source
+   * @param {string} kind - Rule kind
+   * @param {string} value - Rule value
+   * @returns {boolean} True if this rule decided the result
+   */
+  function isDecidingRule(decision, source, kind, value) {
+    return Boolean(decision && decision.rule &&
+      decision.rule.source === source &&
+      decision.rule.kind === kind &&
+      decision.rule.value === value);
+  }
+
+  /**
+   * Validates the draft pattern and tests it against the test URL
+   */
+  function updatePatternFeedback() {
+    const rule = { type: patternTypeSelect.value, pattern: patternInput.value.trim() };
+
+    if (!rule.pattern) {
+      patternFeedback.classList.add('hidden');
+      return;
+    }
+
+    const error = TOCRules.validatePattern(rule);
+    if (error) {
+      showPatternFeedback(error, true);
+      return;
+    }
+
+    const testUrl = testUrlInput.value.trim();
+    if (!testUrl || !isValidUrl(testUrl)) {
+      showPatternFeedback('Valid pattern. Enter a test URL above to try it.', false);
+    } else if (TOCRules.testPattern(rule, testUrl)) {
+      showPatternFeedback('Matches the test URL', false);
+    } else {
+      showPatternFeedback('Does not match the test URL', true);
+    }
+  }
+
+  /**
+   * Shows feedback below the pattern form
+   * @param {string} message - The message to display
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showPatternFeedback(message, isError) {
+    showFeedback(patternFeedback, message, isError);
+  }
+
+  /**
+   * Shows a message in a feedback element
+   * @param {HTMLElement} element - The feedback element
+   * @param {string} message - The message to display
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showFeedback(element, message, isError) {
+    element.textContent = message;
+    element.classList.remove('hidden', 'success', 'error');
+    element.classList.add(isError ? 'error' : 'success');
+  }
+});
+
+/**
+ * Checks whether a string parses as an absolute URL
+ * @param {string} value - The string to check
+ * @returns {boolean} True if the string is a URL
+ */
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
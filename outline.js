@@ -0,0 +1,253 @@
+/**
+ * Page outline nesting and export. Shared by the content script, which nests
+ * the TOC tree and exports from the sidebar, and the popup, which exports the
+ * headings it gets from the content script. The options page downloads
+ * profile exports with the same helper.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCOutline) {
+    return;
+  }
+
+  // Version written into exported JSON outlines
+  const EXPORT_VERSION = 1;
+
+  // Export formats, in the order menus list them
+  const FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    opml: { label: 'OPML', extension: 'opml', mimeType: 'text/x-opml' }
+  };
+
+  /**
+   * Nests headings under the closest preceding heading of a higher level
+   * @param {Array} headings - Heading objects in document order
+   * @returns {Array} Top-level nodes as { heading, children }
+   */
+  function buildTree(headings) {
+    const root = { heading: null, children: [] };
+    const stack = [root];
+
+    headings.forEach(heading => {
+      // Climb back up to the nearest heading with a higher level
+      while (stack.length > 1 && stack[stack.length - 1].heading.level >= heading.level) {
+        stack.pop();
+      }
+
+      const node = { heading, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+
+    return root.children;
+  }
+
+  /**
+   * Escapes text for HTML and XML content and attribute values
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escapes text so Markdown shows it literally inside a link
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_[\]<>]/g, '\\$&');
+  }
+
+  /**
+   * Writes the outline as a nested Markdown bullet list
+   * @param {Array} tree - Nodes returned by buildTree
+   * @returns {string} Markdown text
+   */
+  function toMarkdown(tree) {
+    const lines = [];
+    const visit = (nodes, depth) => {
+      nodes.forEach(({ heading, children }) => {
+        const text = escapeMarkdown(heading.text);
+        // Parentheses would end the link target early
+        const link = heading.link ? heading.link.replace(/\(/g, '%28').replace(/\)/g, '%29') : '';
+        lines.push(`${'  '.repeat(depth)}- ${link ? `[${text}](${link})` : text}`);
+        // Notes are quoted under their entry, one quoted line per line of the note
+        if (heading.note) {
+          heading.note.split('\n').forEach(line => {
+            lines.push(`${'  '.repeat(depth + 1)}> ${escapeMarkdown(line)}`.trimEnd());
+          });
+        }
+        visit(children, depth + 1);
+      });
+    };
+    visit(tree, 0);
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Writes the outline as a <nav> element with nested lists
+   * @param {Array} tree - Nodes returned by buildTree
+   * @returns {string} HTML markup
+   */
+  function toHtml(tree) {
+    const lines = ['<nav aria-label="Table of contents">'];
+    const visit = (nodes, indent) => {
+      lines.push(`${indent}<ul>`);
+      nodes.forEach(({ heading, children }) => {
+        const text = escapeXml(heading.text);
+        let content = heading.link ? `<a href="${escapeXml(heading.link)}">${text}</a>` : text;
+        if (heading.note) {
+          content += ` <p class="note">${escapeXml(heading.note).replace(/\n/g, '<br>')}</p>`;
+        }
+        if (children.length === 0) {
+          lines.push(`${indent}  <li>${content}</li>`);
+          return;
+        }
+        lines.push(`${indent}  <li>${content}`);
+        visit(children, `${indent}    `);
+        lines.push(`${indent}  </li>`);
+      });
+      lines.push(`${indent}</ul>`);
+    };
+    if (tree.length > 0) {
+      visit(tree, '  ');
+    }
+    lines.push('</nav>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Writes the outline as JSON, with the page it came from
+   * @param {Array} tree - Nodes returned by buildTree
+   * @param {Object} outline - { title, url }
+   * @returns {string} JSON text
+   */
+  function toJson(tree, outline) {
+    const convert = nodes => nodes.map(({ heading, children }) => ({
+      text: heading.text,
+      level: heading.level,
+      link: heading.link || null,
+      note: heading.note || null,
+      children: convert(children)
+    }));
+    return `${JSON.stringify({
+      version: EXPORT_VERSION,
+      title: outline.title,
+      url: outline.url,
+      exportedAt: new Date().toISOString(),
+      headings: convert(tree)
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * Writes the outline as an OPML 2.0 document for outliners and mind-mapping tools
+   * @param {Array} tree - Nodes returned by buildTree
+   * @param {Object} outline - { title, url }
+   * @returns {string} XML text
+   */
+  function toOpml(tree, outline) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${escapeXml(outline.title)}</title>`,
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>'
+    ];
+    const visit = (nodes, indent) => {
+      nodes.forEach(({ heading, children }) => {
+        let attributes = `text="${escapeXml(heading.text)}"`;
+        if (heading.link) {
+          attributes += ` type="link" url="${escapeXml(heading.link)}"`;
+        }
+        // _note is the attribute outliners use for notes; line breaks must be escaped to survive
+        if (heading.note) {
+          attributes += ` _note="${escapeXml(heading.note).replace(/\n/g, '&#10;')}"`;
+        }
+        if (children.length === 0) {
+          lines.push(`${indent}<outline ${attributes}/>`);
+          return;
+        }
+        lines.push(`${indent}<outline ${attributes}>`);
+        visit(children, `${indent}  `);
+        lines.push(`${indent}</outline>`);
+      });
+    };
+    visit(tree, '    ');
+    lines.push('  </body>', '</opml>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serializes a page outline
+   * @param {string} format - A key of FORMATS
+   * @param {Object} outline - { title, url, headings }, with headings in
+   *   document order as { text, level, link, note }
+   * @returns {string} The outline in that format
+   * @throws {Error} If the format is not supported
+   */
+  function serialize(format, outline) {
+    const tree = buildTree(outline.headings);
+    switch (format) {
+      case 'markdown':
+        return toMarkdown(tree);
+      case 'html':
+        return toHtml(tree);
+      case 'json':
+        return toJson(tree, outline);
+      case 'opml':
+        return toOpml(tree, outline);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Suggests a file name for an exported outline
+   * @param {string} title - Page title
+   * @param {string} format - A key of FORMATS
+   * @returns {string} File name such as "getting-started-outline.md"
+   */
+  function getFileName(title, format) {
+    const base = String(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    return `${base ? `${base}-` : ''}outline.${FORMATS[format].extension}`;
+  }
+
+  /**
+   * Saves text as a file through a temporary download link
+   * @param {string} text - File contents
+   * @param {string} fileName - Suggested file name
+   * @param {string} mimeType - MIME type of the contents
+   */
+  function download(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  global.TOCOutline = {
+    FORMATS,
+    buildTree,
+    serialize,
+    getFileName,
+    download
+  };
+})(globalThis);
@@ -10,9 +10,47 @@ document.addEventListener('DOMContentLoaded', function() {
   const toggleButton = document.getElementById('toggle-toc');
   const leftPositionButton = document.getElementById('position-left');
   const rightPositionButton = document.getElementById('position-right');
+  const floatingPositionButton = document.getElementById('position-floating');
+  const widthInput = document.getElementById('geometry-width');
+  const heightInput = document.getElementById('geometry-height');
+  const resetGeometryButton = document.getElementById('geometry-reset');
+  const layoutButtons = {
+    overlay: document.getElementById('layout-overlay'),
+    docked: document.getElementById('layout-docked')
+  };
+  const appearanceInputs = {
+    theme: document.getElementById('appearance-theme'),
+    fontSize: document.getElementById('appearance-font-size'),
+    lineHeight: document.getElementById('appearance-line-height'),
+    density: document.getElementById('appearance-density'),
+    accentColor: document.getElementById('appearance-accent')
+  };
+  const fontSizeValue = document.getElementById('appearance-font-size-value');
+  const lineHeightValue = document.getElementById('appearance-line-height-value');
+  const resetAccentButton = document.getElementById('appearance-accent-reset');
+  const appearancePreview = document.getElementById('appearance-preview');
+  
+  // Whether the accent color was picked rather than taken from the theme
+  let accentCustomized = false;
+  const orderButtons = {
+    auto: document.getElementById('order-auto'),
+    document: document.getElementById('order-document'),
+    reverse: document.getElementById('order-reverse')
+  };
+  const exportFormatSelect = document.getElementById('export-format');
+  const exportCopyButton = document.getElementById('export-copy');
+  const exportDownloadButton = document.getElementById('export-download');
+  const pinnedPagesList = document.getElementById('pinned-pages');
+  const pinnedEmptyText = document.getElementById('pinned-empty');
+  const notedPagesList = document.getElementById('noted-pages');
+  const notesEmptyText = document.getElementById('notes-empty');
   const pageStatusText = document.getElementById('page-status');
+  const pageRuleText = document.getElementById('page-rule');
   const allowPageButton = document.getElementById('allow-page');
   const disallowPageButton = document.getElementById('disallow-page');
+  const openOptionsButton = document.getElementById('open-options');
+  const shortcutList = document.getElementById('shortcut-list');
+  const editShortcutsButton = document.getElementById('edit-shortcuts');
   const thankYouMessage = document.querySelector('.thank-you-message');
   
   // Add a simple fade-in effect for the thank you message
@@ -27,34 +65,53 @@ document.addEventListener('DOMContentLoaded', function() {
   // Set initial status
   updateStatus('Checking content script status...');
   
+  // Show the current keyboard shortcuts
+  renderShortcuts();
+  
+  // List the export formats
+  Object.entries(TOCOutline.FORMATS).forEach(([format, info]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = info.label;
+    exportFormatSelect.appendChild(option);
+  });
+  
+  // Appearance applies to every site, so it can be edited on any page
+  setupAppearanceControls();
+  TOCSettings.get('appearance').then(setAppearanceInputs).catch(error => {
+    console.error('Error loading appearance settings:', error);
+  });
+  
+  // Pins from every page, newest first
+  TOCSettings.get('pins').then(renderPinnedPages).catch(error => {
+    console.error('Error loading pinned sections:', error);
+  });
+  TOCSettings.get('notes').then(renderNotedPages).catch(error => {
+    console.error('Error loading notes:', error);
+  });
+  
   // Check if the content script is active on the current tab
   getCurrentTab().then(tab => {
-    checkContentScriptAndExecuteAction(tab.id, 'ping')
-      .then(result => {
-        if (result && result.success) {
-          updateStatus('Content script is active');
-          
-          // Check if page is allowed to use TOC
-          if (result.allowed) {
-            enableControls();
-            updatePageStatus(true);
-            
-            // Check current position and update UI
-            checkTOCPosition(tab.id);
-          } else {
-            disableControls();
-            updatePageStatus(false);
-          }
-        } else {
-          throw new Error('Content script not detected');
-        }
-      })
-      .catch(error => {
-        console.error('Error checking content script status:', error);
-        updateStatus('Content script not active', true);
+    return sendCommand(tab.id, TOCProtocol.COMMANDS.CHECK_STATUS).then(result => {
+      updateStatus('Content script is active');
+      
+      // Check if page is allowed to use TOC
+      if (result.allowed) {
+        enableControls();
+        updatePageStatus(true, true, result.rule);
+        
+        // Check current position and update UI
+        checkTOCPosition(tab.id);
+      } else {
         disableControls();
-        updatePageStatus(false, false);
-      });
+        updatePageStatus(false, true, result.rule);
+      }
+    });
+  }).catch(error => {
+    console.error('Error checking content script status:', error);
+    updateStatus('Content script not active', true);
+    disableControls();
+    updatePageStatus(false, false);
   });
   
   // Handle refresh button click
@@ -64,17 +121,13 @@ document.addEventListener('DOMContentLoaded', function() {
     
     getCurrentTab().then(tab => {
       console.log('Sending refresh message to tab:', tab.id);
-      // Route through the background script for proper action mapping
-      chrome.runtime.sendMessage({
-        action: 'refreshTOC',
-        tabId: tab.id
-      }).then((response) => {
-        console.log('Refresh response:', response);
-        updateStatus('TOC refreshed successfully');
-      }).catch(error => {
-        console.error('Error refreshing TOC:', error);
-        updateStatus('Failed to refresh TOC', true);
-      });
+      return sendCommand(tab.id, TOCProtocol.COMMANDS.REFRESH);
+    }).then((response) => {
+      console.log('Refresh response:', response);
+      updateStatus('TOC refreshed successfully');
+    }).catch(error => {
+      console.error('Error refreshing TOC:', error);
+      updateStatus('Failed to refresh TOC', true);
     });
   });
   
@@ -85,104 +138,433 @@ document.addEventListener('DOMContentLoaded', function() {
     
     getCurrentTab().then(tab => {
       console.log('Sending toggle message to tab:', tab.id);
-      // Route through the background script for proper action mapping
-      chrome.runtime.sendMessage({
-        action: 'toggleTOC',
-        tabId: tab.id
-      }).then((response) => {
-        console.log('Toggle response:', response);
-        updateStatus('TOC toggled successfully');
-      }).catch(error => {
-        console.error('Error toggling TOC:', error);
-        updateStatus('Failed to toggle TOC', true);
-      });
+      return sendCommand(tab.id, TOCProtocol.COMMANDS.TOGGLE);
+    }).then((response) => {
+      console.log('Toggle response:', response);
+      updateStatus('TOC toggled successfully');
+    }).catch(error => {
+      console.error('Error toggling TOC:', error);
+      updateStatus('Failed to toggle TOC', true);
     });
   });
   
   // Handle left position button click
   leftPositionButton.addEventListener('click', function() {
-    leftPositionButton.classList.add('active');
-    rightPositionButton.classList.remove('active');
-    
-    getCurrentTab().then(tab => {
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'setPosition',
-        position: 'left'
-      }).then(() => {
-        console.log('TOC position set to left');
-      }).catch(error => {
-        console.error('Error setting TOC position:', error);
-      });
-    });
+    setActivePosition('left');
+    saveTOCPosition('left');
   });
   
   // Handle right position button click
   rightPositionButton.addEventListener('click', function() {
-    rightPositionButton.classList.add('active');
-    leftPositionButton.classList.remove('active');
-    
-    getCurrentTab().then(tab => {
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'setPosition',
-        position: 'right'
-      }).then(() => {
-        console.log('TOC position set to right');
+    setActivePosition('right');
+    saveTOCPosition('right');
+  });
+  
+  // Handle floating position button click
+  floatingPositionButton.addEventListener('click', function() {
+    setActivePosition('floating');
+    saveTOCPosition('floating');
+  });
+  
+  // Handle size changes; an empty height fits the sidebar to its content
+  widthInput.addEventListener('change', function() {
+    const width = Number(widthInput.value);
+    if (width > 0) {
+      saveGeometry({ width });
+    }
+  });
+  
+  heightInput.addEventListener('change', function() {
+    const height = Number(heightInput.value);
+    saveGeometry({ height: height > 0 ? height : null });
+  });
+  
+  // Handle reset button click
+  resetGeometryButton.addEventListener('click', function() {
+    setGeometryInputs(TOCSettings.SITE_DEFAULTS.geometry);
+    saveTabSiteSettings({ geometry: TOCSettings.SITE_DEFAULTS.geometry });
+  });
+  
+  // Handle layout button clicks; a floating sidebar is docked on the right
+  Object.entries(layoutButtons).forEach(([layout, button]) => {
+    button.addEventListener('click', function() {
+      setActiveLayout(layout);
+      getCurrentTab().then(tab => {
+        return TOCSettings.getSite(TOCSettings.getSiteKey(tab.url));
+      }).then(site => {
+        const values = { layout };
+        if (layout === 'docked' && site.position === 'floating') {
+          values.position = 'right';
+          setActivePosition('right');
+        }
+        saveTabSiteSettings(values);
       }).catch(error => {
-        console.error('Error setting TOC position:', error);
+        console.error('Error changing layout:', error);
       });
     });
   });
   
+  // Preview appearance changes while they are made and save them once done
+  Object.values(appearanceInputs).forEach(input => {
+    input.addEventListener('input', function() {
+      if (input === appearanceInputs.accentColor) {
+        accentCustomized = true;
+      }
+      updateAppearancePreview(readAppearanceInputs());
+    });
+    input.addEventListener('change', saveAppearance);
+  });
+  
+  // Go back to the theme's own accent color
+  resetAccentButton.addEventListener('click', function() {
+    accentCustomized = false;
+    saveAppearance();
+  });
+  
+  // Handle order button clicks
+  Object.entries(orderButtons).forEach(([order, button]) => {
+    button.addEventListener('click', function() {
+      setActiveOrder(order);
+      saveTabSiteSettings({ order });
+    });
+  });
+  
+  // Keep the site controls in sync when the settings change elsewhere
+  TOCSettings.onChanged(changes => {
+    if (changes.sites) {
+      getCurrentTab().then(tab => {
+        const site = TOCSettings.resolveSite(changes.sites.newValue, TOCSettings.getSiteKey(tab.url));
+        setActivePosition(site.position);
+        setGeometryInputs(site.geometry);
+        setActiveLayout(site.layout);
+        setActiveOrder(site.order);
+      }).catch(error => {
+        console.error('Error updating site controls:', error);
+      });
+    }
+    if (changes.appearance) {
+      setAppearanceInputs(changes.appearance.newValue);
+    }
+    if (changes.pins) {
+      renderPinnedPages(changes.pins.newValue);
+    }
+    if (changes.notes) {
+      renderNotedPages(changes.notes.newValue);
+    }
+  });
+  
+  // Handle export button clicks
+  exportCopyButton.addEventListener('click', function() {
+    exportOutline('clipboard');
+  });
+  
+  exportDownloadButton.addEventListener('click', function() {
+    exportOutline('file');
+  });
+  
   // Handle allow page button click
   allowPageButton.addEventListener('click', function() {
     getCurrentTab().then(tab => {
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'callFunction',
-        functionName: 'addCurrentDomainToAllowList'
-      }).then(response => {
-        if (response && response.success) {
-          pageStatusText.textContent = 'Page will be allowed after reload';
-          pageStatusText.className = 'success';
-          setTimeout(() => {
-            chrome.tabs.reload(tab.id);
-          }, 1000);
-        } else {
-          pageStatusText.textContent = 'Failed to add page to allowed list';
-          pageStatusText.className = 'error';
-        }
-      }).catch(error => {
-        console.error('Error allowing page:', error);
-        pageStatusText.textContent = 'Error updating page permissions';
-        pageStatusText.className = 'error';
+      return sendCommand(tab.id, TOCProtocol.COMMANDS.ALLOW_PAGE).then(() => {
+        // The content script applies the change without a reload
+        refreshPageStatus(tab.id);
+        enableControls();
+        checkTOCPosition(tab.id);
       });
+    }).catch(error => {
+      console.error('Error allowing page:', error);
+      pageStatusText.textContent = error.code === TOCProtocol.ERRORS.FAILED
+        ? error.message
+        : 'Failed to add page to allowed list';
+      pageStatusText.className = 'error';
     });
   });
   
   // Handle disallow page button click
   disallowPageButton.addEventListener('click', function() {
     getCurrentTab().then(tab => {
-      chrome.tabs.sendMessage(tab.id, {
-        action: 'callFunction',
-        functionName: 'removeCurrentDomainFromAllowList'
-      }).then(response => {
-        if (response && response.success) {
-          pageStatusText.textContent = 'Page will be disallowed after reload';
-          pageStatusText.className = 'success';
-          setTimeout(() => {
-            chrome.tabs.reload(tab.id);
-          }, 1000);
-        } else {
-          pageStatusText.textContent = 'Failed to remove page from allowed list';
-          pageStatusText.className = 'error';
-        }
-      }).catch(error => {
-        console.error('Error disallowing page:', error);
-        pageStatusText.textContent = 'Error updating page permissions';
-        pageStatusText.className = 'error';
+      return sendCommand(tab.id, TOCProtocol.COMMANDS.DISALLOW_PAGE).then(() => {
+        // The content script applies the change without a reload
+        refreshPageStatus(tab.id);
+        disableControls();
       });
+    }).catch(error => {
+      console.error('Error disallowing page:', error);
+      pageStatusText.textContent = 'Failed to remove page from allowed list';
+      pageStatusText.className = 'error';
     });
   });
   
+  // Open the options page to manage every site at once
+  openOptionsButton.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+  
+  // Shortcuts can only be rebound on Chrome's own shortcuts page
+  editShortcutsButton.addEventListener('click', function() {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  
+  /**
+   * Lists the extension's keyboard commands with their current shortcuts
+   */
+  function renderShortcuts() {
+    chrome.commands.getAll().then(commands => {
+      shortcutList.textContent = '';
+      
+      commands.filter(command => command.description).forEach(command => {
+        const item = document.createElement('li');
+        
+        const description = document.createElement('span');
+        description.textContent = command.description;
+        
+        const shortcut = document.createElement('span');
+        shortcut.className = command.shortcut ? 'shortcut-key' : 'shortcut-key unset';
+        shortcut.textContent = command.shortcut || 'Not set';
+        
+        item.appendChild(description);
+        item.appendChild(shortcut);
+        shortcutList.appendChild(item);
+      });
+    }).catch(error => {
+      console.error('Error loading keyboard shortcuts:', error);
+    });
+  }
+  
+  /**
+   * Exports the current tab's outline in the selected format, using the
+   * headings the content script extracts
+   * @param {string} destination - 'clipboard' or 'file'
+   */
+  function exportOutline(destination) {
+    const format = exportFormatSelect.value;
+    const info = TOCOutline.FORMATS[format];
+    
+    getCurrentTab().then(tab => {
+      return sendCommand(tab.id, TOCProtocol.COMMANDS.GET_HEADINGS).then(headings => {
+        if (headings.length === 0) {
+          updateStatus('No headings to export', true);
+          return;
+        }
+        
+        const text = TOCOutline.serialize(format, { title: tab.title, url: tab.url, headings });
+        if (destination === 'file') {
+          TOCOutline.download(text, TOCOutline.getFileName(tab.title, format), info.mimeType);
+          updateStatus(`Outline downloaded as ${info.label}`);
+          return;
+        }
+        return navigator.clipboard.writeText(text).then(() => {
+          updateStatus(`Outline copied as ${info.label}`);
+        });
+      });
+    }).catch(error => {
+      console.error('Error exporting outline:', error);
+      updateStatus('Failed to export outline', true);
+    });
+  }
+  
+  /**
+   * Lists the pinned sections of every page, grouped by page
+   * @param {Object} pins - Value of the pins setting
+   */
+  function renderPinnedPages(pins) {
+    renderSavedSections(pinnedPagesList, pinnedEmptyText, pins, 'pins');
+  }
+  
+  /**
+   * Lists the notes of every page, grouped by page
+   * @param {Object} notes - Value of the notes setting
+   */
+  function renderNotedPages(notes) {
+    renderSavedSections(notedPagesList, notesEmptyText, notes, 'notes');
+  }
+  
+  /**
+   * Lists sections saved on every page, most recently changed page first
+   * @param {HTMLUListElement} list - List to fill
+   * @param {HTMLElement} emptyText - Shown instead when nothing is saved
+   * @param {Object} pages - Value of the setting, keyed by page URL
+   * @param {string} settingKey - 'pins' or 'notes'
+   */
+  function renderSavedSections(list, emptyText, pages, settingKey) {
+    const entries = Object.entries(pages || {})
+      .filter(([, page]) => page && Array.isArray(page[settingKey]) && page[settingKey].length > 0)
+      .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0));
+    
+    list.textContent = '';
+    emptyText.classList.toggle('hidden', entries.length > 0);
+    
+    entries.forEach(([pageUrl, page]) => {
+      const pageItem = document.createElement('li');
+      
+      const title = document.createElement('div');
+      title.className = 'saved-page-title';
+      title.textContent = page.title || pageUrl;
+      title.title = pageUrl;
+      pageItem.appendChild(title);
+      
+      const sectionList = document.createElement('ul');
+      page[settingKey].forEach(anchor => {
+        const sectionItem = document.createElement('li');
+        
+        const openButton = document.createElement('button');
+        openButton.className = 'saved-section-link';
+        openButton.textContent = anchor.text;
+        openButton.addEventListener('click', function() {
+          openSavedSection(pageUrl, anchor);
+        });
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'saved-section-remove';
+        removeButton.textContent = '✕';
+        removeButton.title = settingKey === 'notes' ? 'Delete note' : 'Unpin';
+        removeButton.setAttribute('aria-label', `${removeButton.title}: ${anchor.text}`);
+        removeButton.addEventListener('click', function() {
+          removeSavedSection(settingKey, pageUrl, anchor);
+        });
+        
+        sectionItem.appendChild(openButton);
+        sectionItem.appendChild(removeButton);
+        
+        if (anchor.note) {
+          const note = document.createElement('p');
+          note.className = 'saved-section-note';
+          note.textContent = anchor.note;
+          sectionItem.appendChild(note);
+        }
+        sectionList.appendChild(sectionItem);
+      });
+      pageItem.appendChild(sectionList);
+      list.appendChild(pageItem);
+    });
+  }
+  
+  /**
+   * Goes to a saved section: scrolls to it when its page is the current
+   * tab, and opens its link in a new tab otherwise
+   * @param {string} pageUrl - Page the section is on
+   * @param {Object} anchor - The saved section
+   */
+  function openSavedSection(pageUrl, anchor) {
+    getCurrentTab().then(tab => {
+      if (TOCAnchors.getPageKey(tab.url) === pageUrl) {
+        const { id, text, level, index } = anchor;
+        return sendCommand(tab.id, TOCProtocol.COMMANDS.SCROLL_TO_HEADING, { id, text, level, index }).then(found => {
+          if (!found) {
+            updateStatus('Section is no longer on this page', true);
+          }
+        });
+      }
+      return chrome.tabs.create({ url: anchor.link || pageUrl });
+    }).catch(error => {
+      console.error('Error opening saved section:', error);
+      updateStatus('Failed to open section', true);
+    });
+  }
+  
+  /**
+   * Unpins a section or deletes its note
+   * @param {string} settingKey - 'pins' or 'notes'
+   * @param {string} pageUrl - Page the section is on
+   * @param {Object} anchor - The saved section
+   */
+  function removeSavedSection(settingKey, pageUrl, anchor) {
+    TOCSettings.update(settingKey, current => {
+      const pages = { ...current };
+      const page = pages[pageUrl];
+      if (!page) {
+        return pages;
+      }
+      const remaining = page[settingKey].filter(saved => saved.id !== anchor.id || saved.text !== anchor.text);
+      if (remaining.length > 0) {
+        pages[pageUrl] = { ...page, [settingKey]: remaining };
+      } else {
+        delete pages[pageUrl];
+      }
+      return pages;
+    }).catch(error => {
+      console.error(`Error removing saved section from ${settingKey}:`, error);
+      updateStatus('Failed to update saved sections', true);
+    });
+  }
+  
+  /**
+   * Fills the theme list and the typography ranges from themes.js
+   */
+  function setupAppearanceControls() {
+    Object.entries(TOCThemes.THEMES).forEach(([name, theme]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = theme.label;
+      appearanceInputs.theme.appendChild(option);
+    });
+    
+    appearanceInputs.fontSize.min = TOCThemes.FONT_SIZE_RANGE.min;
+    appearanceInputs.fontSize.max = TOCThemes.FONT_SIZE_RANGE.max;
+    appearanceInputs.lineHeight.min = TOCThemes.LINE_HEIGHT_RANGE.min;
+    appearanceInputs.lineHeight.max = TOCThemes.LINE_HEIGHT_RANGE.max;
+  }
+  
+  /**
+   * Shows saved appearance settings in the controls and the preview
+   * @param {Object} appearance - Value of the appearance setting
+   */
+  function setAppearanceInputs(appearance) {
+    const values = TOCThemes.normalizeAppearance(appearance);
+    appearanceInputs.theme.value = values.theme;
+    appearanceInputs.fontSize.value = values.fontSize;
+    appearanceInputs.lineHeight.value = values.lineHeight;
+    appearanceInputs.density.value = values.density;
+    accentCustomized = Boolean(values.accentColor);
+    updateAppearancePreview(values);
+  }
+  
+  /**
+   * Reads the appearance settings from the controls
+   * @returns {Object} Appearance settings
+   */
+  function readAppearanceInputs() {
+    return TOCThemes.normalizeAppearance({
+      theme: appearanceInputs.theme.value,
+      fontSize: Number(appearanceInputs.fontSize.value),
+      lineHeight: Number(appearanceInputs.lineHeight.value),
+      density: appearanceInputs.density.value,
+      accentColor: accentCustomized ? appearanceInputs.accentColor.value : ''
+    });
+  }
+  
+  /**
+   * Styles the sample sidebar the way the TOC will look. The page is not
+   * visible from here, so the 'auto' theme follows the system color scheme.
+   * @param {Object} appearance - Appearance settings
+   */
+  function updateAppearancePreview(appearance) {
+    const systemDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = TOCThemes.resolveTheme(appearance.theme, null, systemDark);
+    const variables = TOCThemes.getThemeVariables(appearance, theme);
+    
+    for (const [name, value] of Object.entries(variables)) {
+      appearancePreview.style.setProperty(name, value);
+    }
+    
+    fontSizeValue.textContent = `${appearance.fontSize}px`;
+    lineHeightValue.textContent = appearance.lineHeight.toFixed(1);
+    appearanceInputs.accentColor.value = variables['--any-toc-accent'];
+    resetAccentButton.classList.toggle('hidden', !accentCustomized);
+  }
+  
+  /**
+   * Saves the appearance settings shown in the controls; open tabs restyle
+   * their sidebar when the setting changes
+   */
+  function saveAppearance() {
+    const appearance = readAppearanceInputs();
+    updateAppearancePreview(appearance);
+    TOCSettings.set({ appearance }).catch(error => {
+      console.error('Error saving appearance settings:', error);
+    });
+  }
+  
   /**
    * Enables all control buttons
    */
@@ -191,6 +573,19 @@ document.addEventListener('DOMContentLoaded', function() {
     refreshButton.disabled = false;
     leftPositionButton.disabled = false;
     rightPositionButton.disabled = false;
+    floatingPositionButton.disabled = false;
+    widthInput.disabled = false;
+    heightInput.disabled = false;
+    resetGeometryButton.disabled = false;
+    exportFormatSelect.disabled = false;
+    exportCopyButton.disabled = false;
+    exportDownloadButton.disabled = false;
+    Object.values(layoutButtons).forEach(button => {
+      button.disabled = false;
+    });
+    Object.values(orderButtons).forEach(button => {
+      button.disabled = false;
+    });
   }
   
   /**
@@ -201,30 +596,126 @@ document.addEventListener('DOMContentLoaded', function() {
     refreshButton.disabled = true;
     leftPositionButton.disabled = true;
     rightPositionButton.disabled = true;
+    floatingPositionButton.disabled = true;
+    widthInput.disabled = true;
+    heightInput.disabled = true;
+    resetGeometryButton.disabled = true;
+    exportFormatSelect.disabled = true;
+    exportCopyButton.disabled = true;
+    exportDownloadButton.disabled = true;
+    Object.values(layoutButtons).forEach(button => {
+      button.disabled = true;
+    });
+    Object.values(orderButtons).forEach(button => {
+      button.disabled = true;
+    });
   }
   
   /**
-   * Checks the current TOC position and updates UI accordingly
+   * Checks the saved TOC position for the tab's site and updates UI accordingly
    */
   function checkTOCPosition(tabId) {
-    chrome.tabs.sendMessage(tabId, {
-      action: 'getPosition'
-    }).then(response => {
-      if (response && response.position) {
-        const position = response.position;
-        if (position === 'left') {
-          leftPositionButton.classList.add('active');
-          rightPositionButton.classList.remove('active');
-        } else {
-          rightPositionButton.classList.add('active');
-          leftPositionButton.classList.remove('active');
-        }
-      }
+    chrome.tabs.get(tabId).then(tab => {
+      return TOCSettings.getSite(TOCSettings.getSiteKey(tab.url));
+    }).then(site => {
+      setActivePosition(site.position);
+      setGeometryInputs(site.geometry);
+      setActiveLayout(site.layout);
+      setActiveOrder(site.order);
     }).catch(error => {
       console.error('Error checking TOC position:', error);
       // Fallback to right if we can't determine the position
-      rightPositionButton.classList.add('active');
-      leftPositionButton.classList.remove('active');
+      setActivePosition('right');
+    });
+  }
+  
+  /**
+   * Highlights the button of the given position
+   * @param {string} position - 'left', 'right' or 'floating'
+   */
+  function setActivePosition(position) {
+    leftPositionButton.classList.toggle('active', position === 'left');
+    floatingPositionButton.classList.toggle('active', position === 'floating');
+    rightPositionButton.classList.toggle('active', position !== 'left' && position !== 'floating');
+  }
+  
+  /**
+   * Shows the sidebar size in the width and height fields
+   * @param {Object} geometry - Saved geometry as { width, height, top, left }
+   */
+  function setGeometryInputs(geometry) {
+    const values = { ...TOCSettings.SITE_DEFAULTS.geometry, ...(geometry || {}) };
+    widthInput.value = values.width;
+    heightInput.value = values.height || '';
+  }
+  
+  /**
+   * Highlights the button of the given layout
+   * @param {string} layout - 'overlay' or 'docked'
+   */
+  function setActiveLayout(layout) {
+    Object.entries(layoutButtons).forEach(([value, button]) => {
+      button.classList.toggle('active', value === layout);
+    });
+  }
+  
+  /**
+   * Highlights the button of the given heading order
+   * @param {string} order - 'auto', 'document' or 'reverse'
+   */
+  function setActiveOrder(order) {
+    Object.entries(orderButtons).forEach(([value, button]) => {
+      button.classList.toggle('active', value === order);
+    });
+  }
+  
+  /**
+   * Saves the TOC position for the current tab's site; open tabs of that
+   * site move their sidebar when the setting changes
+   * @param {string} position - 'left', 'right' or 'floating'
+   */
+  function saveTOCPosition(position) {
+    saveTabSiteSettings({ position });
+  }
+  
+  /**
+   * Changes part of the sidebar geometry for the current tab's site
+   * @param {Object} values - Geometry values to change, e.g. { width: 320 }
+   */
+  function saveGeometry(values) {
+    getCurrentTab().then(tab => {
+      const siteKey = TOCSettings.getSiteKey(tab.url);
+      return TOCSettings.getSite(siteKey).then(site => {
+        return TOCSettings.updateSite(siteKey, { geometry: { ...site.geometry, ...values } });
+      });
+    }).catch(error => {
+      console.error('Error saving sidebar geometry:', error);
+    });
+  }
+  
+  /**
+   * Saves preferences for the current tab's site
+   * @param {Object} values - Site preferences to change
+   */
+  function saveTabSiteSettings(values) {
+    getCurrentTab().then(tab => {
+      return TOCSettings.updateSite(TOCSettings.getSiteKey(tab.url), values);
+    }).then(() => {
+      console.log('Site settings saved:', values);
+    }).catch(error => {
+      console.error('Error saving site settings:', error);
+    });
+  }
+  
+  /**
+   * Asks the content script for the page's current allow decision
+   * @param {number} tabId - The ID of the tab
+   */
+  function refreshPageStatus(tabId) {
+    sendCommand(tabId, TOCProtocol.COMMANDS.CHECK_STATUS).then(result => {
+      updatePageStatus(result.allowed, true, result.rule);
+    }).catch(error => {
+      console.error('Error refreshing page status:', error);
     });
   }
   
@@ -232,16 +723,21 @@ document.addEventListener('DOMContentLoaded', function() {
    * Updates the page status text and buttons based on whether the page is allowed
    * @param {boolean} isAllowed - Whether the page is allowed to use TOC
    * @param {boolean} scriptActive - Whether the content script is active
+   * @param {Object|null} rule - Site rule that decided, as returned by TOCRules.evaluate
    */
-  function updatePageStatus(isAllowed, scriptActive = true) {
+  function updatePageStatus(isAllowed, scriptActive = true, rule = null) {
     if (!scriptActive) {
       pageStatusText.textContent = 'Content script not active on this page';
       pageStatusText.className = 'error';
+      pageRuleText.classList.add('hidden');
       allowPageButton.classList.add('hidden');
       disallowPageButton.classList.add('hidden');
       return;
     }
     
+    pageRuleText.textContent = TOCRules.describeRule(rule);
+    pageRuleText.classList.remove('hidden');
+    
     if (isAllowed) {
       pageStatusText.textContent = 'TOC is enabled on this page';
       pageStatusText.className = 'success';
@@ -273,137 +769,17 @@ function getCurrentTab() {
 }
 
 /**
- * Checks if the content script is loaded and executes the specified action
- * @param {number} tabId - The ID of the tab to check
- * @param {string} action - The action to execute on the content script
- * @returns {Promise<object>} Promise that resolves with the action result
+ * Runs a command of protocol.js in a tab. Requests go through the background
+ * script, which injects the content script first if the tab lacks it.
+ * @param {number} tabId - The ID of the tab
+ * @param {string} command - One of TOCProtocol.COMMANDS
+ * @param {Object} [args] - Command arguments
+ * @returns {Promise<any>} Promise that resolves with the command's result, or
+ *   rejects with an error whose code is one of TOCProtocol.ERRORS
  */
-function checkContentScriptAndExecuteAction(tabId, action) {
-  return new Promise((resolve, reject) => {
-    // For ping action, use message passing
-    if (action === 'ping') {
-      chrome.tabs.sendMessage(tabId, { action: 'ping' })
-        .then(response => {
-          if (response && response.pong) {
-            // Include information about whether the page is allowed
-            resolve({ 
-              success: true, 
-              allowed: response.allowed || false 
-            });
-          } else {
-            throw new Error('No valid response from content script');
-          }
-        })
-        .catch(error => {
-          console.log('Ping failed, content script might not be injected:', error);
-          
-          // If ping failed, inject the content script and try again
-          injectContentScript(tabId)
-            .then(() => {
-              // Wait a moment for the script to initialize
-              setTimeout(() => {
-                chrome.tabs.sendMessage(tabId, { action: 'ping' })
-                  .then(response => {
-                    if (response && response.pong) {
-                      // Include information about whether the page is allowed
-                      resolve({ 
-                        success: true, 
-                        allowed: response.allowed || false
-                      });
-                    } else {
-                      throw new Error('No valid response after injection');
-                    }
-                  })
-                  .catch(secondError => {
-                    console.error('Ping failed after injection:', secondError);
-                    reject(new Error('Failed to ping after injecting content script'));
-                  });
-              }, 500);
-            })
-            .catch(injectionError => {
-              console.error('Content script injection failed:', injectionError);
-              reject(new Error('Failed to inject content script'));
-            });
-        });
-    } else if (action === 'callFunction') {
-      // Special case to call functions on the window object
-      executeContentScriptFunction(tabId, arguments[2])
-        .then(result => {
-          resolve({ success: true, result });
-        })
-        .catch(error => {
-          reject(error);
-        });
-    } else {
-      // For other actions, use the legacy approach until fully migrated
-      executeContentScriptAction(tabId, action)
-        .then(result => {
-          resolve({ success: true, result });
-        })
-        .catch(error => {
-          reject(error);
-        });
-    }
-  });
-}
-
-/**
- * Injects the content script into the tab
- * @param {number} tabId - The ID of the tab to inject into
- * @returns {Promise<void>} Promise that resolves when injection is complete
- */
-function injectContentScript(tabId) {
-  return chrome.scripting.executeScript({
-    target: { tabId },
-    files: ['content.js']
-  });
-}
-
-/**
- * Executes an action in the content script
- * @param {number} tabId - The ID of the tab to execute in
- * @param {string} action - The name of the action function to execute
- * @param {Array} args - Arguments for the action function
- * @returns {Promise<any>} Promise that resolves with the action result
- */
-function executeContentScriptAction(tabId, action, args = []) {
-  return chrome.scripting.executeScript({
-    target: { tabId },
-    func: (actionName, actionArgs) => {
-      // Check if function exists in window scope
-      if (typeof window[actionName] === 'function') {
-        return window[actionName](...actionArgs);
-      } else {
-        throw new Error(`Function ${actionName} not found in content script`);
-      }
-    },
-    args: [action, args]
-  }).then(results => results[0].result);
-}
-
-/**
- * Executes a function on the window object in the content script
- * @param {number} tabId - The ID of the tab to execute in
- * @param {string} functionName - The name of the function to call on window object
- * @param {Array} args - Arguments for the function
- * @returns {Promise<any>} Promise that resolves with the function result
- */
-function executeContentScriptFunction(tabId, functionName, args = []) {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'callFunction',
-        functionName: functionName,
-        args: args
-      }).then(response => {
-        resolve(response);
-      }).catch(error => {
-        reject(error);
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
+function sendCommand(tabId, command, args = {}) {
+  return chrome.runtime.sendMessage(TOCProtocol.createRequest(command, args, tabId))
+    .then(TOCProtocol.unwrap);
 }
 
 /**
@@ -0,0 +1,276 @@
+/**
+ * Site profiles telling the content script where a site's content lives,
+ * which extra elements count as headings, what to skip and how to tidy up
+ * heading text. Shared by the content script, which applies them, and the
+ * options page, which edits, imports and exports them.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCProfiles) {
+    return;
+  }
+
+  // Version written into exported profile files
+  const EXPORT_VERSION = 1;
+
+  /*
+   * A profile looks like:
+   * {
+   *   site: 'docs.example.com',         // site entry, same syntax as allowed sites
+   *   contentRoot: 'article',           // where to look for headings (optional)
+   *   headings: [{ selector: '.docs-title', level: 1 }],
+   *   exclude: ['nav', '.sr-only'],     // headings inside these are skipped
+   *   cleanup: [{ pattern: '^#\\s*', replacement: '' }],  // regex edits to heading text
+   *   userMessages: '.user-message',    // chat sites: each prompt the user sent (optional)
+   *   assistantMessages: '.reply',      // chat sites: each assistant reply (optional)
+   *   preserveDom: false                // never add IDs to headings; links use text fragments
+   * }
+   */
+  const BUILT_IN_PROFILES = [
+    {
+      site: 'chatgpt.com',
+      contentRoot: 'main',
+      headings: [],
+      // Screen-reader labels such as "You said:" are marked up as headings
+      exclude: ['.sr-only', 'nav'],
+      cleanup: [],
+      userMessages: '[data-message-author-role="user"]',
+      assistantMessages: '[data-message-author-role="assistant"]'
+    },
+    {
+      site: 'gemini.google.com',
+      contentRoot: 'main',
+      headings: [],
+      exclude: ['.cdk-visually-hidden', 'side-navigation-v2'],
+      cleanup: [],
+      userMessages: 'user-query',
+      assistantMessages: 'model-response'
+    },
+    {
+      site: 'grok.com',
+      contentRoot: 'main',
+      headings: [],
+      exclude: ['.sr-only', 'nav'],
+      cleanup: [],
+      // Prompts are right-aligned and replies left-aligned in the same kind of bubble
+      userMessages: '.items-end > .message-bubble',
+      assistantMessages: '.items-start > .message-bubble'
+    }
+  ];
+
+  /**
+   * Deep-copies a profile so callers never modify the built-ins
+   * @param {Object} profile - Profile to copy
+   * @returns {Object} The copy
+   */
+  function clone(profile) {
+    return JSON.parse(JSON.stringify(profile));
+  }
+
+  /**
+   * Checks whether a string is a usable CSS selector
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if the selector parses
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Trims a list of strings and drops empty entries
+   * @param {Array} values - Values to clean
+   * @returns {Array<string>} Cleaned values
+   */
+  function cleanList(values) {
+    return (Array.isArray(values) ? values : [])
+      .map(value => String(value || '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Brings a profile typed by the user or read from a file into canonical form
+   * @param {Object} input - Profile-like object
+   * @returns {Object} Profile with every field present
+   */
+  function normalizeProfile(input) {
+    const profile = input && typeof input === 'object' ? input : {};
+    return {
+      site: TOCRules.normalizeDomain(profile.site),
+      contentRoot: String(profile.contentRoot || '').trim(),
+      headings: (Array.isArray(profile.headings) ? profile.headings : [])
+        .filter(rule => rule && String(rule.selector || '').trim())
+        .map(rule => ({ selector: String(rule.selector).trim(), level: Number(rule.level) })),
+      exclude: cleanList(profile.exclude),
+      cleanup: (Array.isArray(profile.cleanup) ? profile.cleanup : [])
+        .filter(rule => rule && String(rule.pattern || ''))
+        .map(rule => ({ pattern: String(rule.pattern), replacement: String(rule.replacement || '') })),
+      userMessages: String(profile.userMessages || '').trim(),
+      assistantMessages: String(profile.assistantMessages || '').trim(),
+      preserveDom: profile.preserveDom === true
+    };
+  }
+
+  /**
+   * Checks that a normalized profile is usable
+   * @param {Object} profile - Profile returned by normalizeProfile
+   * @returns {string|null} Error message, or null if the profile is valid
+   */
+  function validateProfile(profile) {
+    const siteError = TOCRules.validateSiteRule(profile.site);
+    if (siteError) {
+      return siteError;
+    }
+    if (profile.contentRoot && !isValidSelector(profile.contentRoot)) {
+      return `Content root "${profile.contentRoot}" is not a valid selector`;
+    }
+    for (const rule of profile.headings) {
+      if (!isValidSelector(rule.selector)) {
+        return `Heading selector "${rule.selector}" is not valid`;
+      }
+      if (!Number.isInteger(rule.level) || rule.level < 1 || rule.level > 6) {
+        return `Heading level for "${rule.selector}" must be between 1 and 6`;
+      }
+    }
+    for (const selector of profile.exclude) {
+      if (!isValidSelector(selector)) {
+        return `Exclusion "${selector}" is not a valid selector`;
+      }
+    }
+    if (profile.userMessages && !isValidSelector(profile.userMessages)) {
+      return `User messages "${profile.userMessages}" is not a valid selector`;
+    }
+    if (profile.assistantMessages && !isValidSelector(profile.assistantMessages)) {
+      return `Assistant messages "${profile.assistantMessages}" is not a valid selector`;
+    }
+    if (profile.assistantMessages && !profile.userMessages) {
+      return 'Assistant messages need a user messages selector too';
+    }
+    for (const rule of profile.cleanup) {
+      try {
+        new RegExp(rule.pattern);
+      } catch (e) {
+        return e.message;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the profile for a URL. Custom profiles are checked first, in the
+   * order they are listed, so a custom profile for a built-in site replaces it.
+   * Invalid profiles are skipped.
+   * @param {string} url - Page URL
+   * @param {Array<Object>} customProfiles - Value of the siteProfiles setting
+   * @returns {Object|null} { profile, source: 'custom'|'built-in' }, or null if none matches
+   */
+  function findProfile(url, customProfiles) {
+    for (const custom of customProfiles || []) {
+      const profile = normalizeProfile(custom);
+      if (TOCRules.matchesSite(url, profile.site) && !validateProfile(profile)) {
+        return { profile, source: 'custom' };
+      }
+    }
+
+    const builtIn = BUILT_IN_PROFILES.find(profile => TOCRules.matchesSite(url, profile.site));
+    return builtIn ? { profile: clone(builtIn), source: 'built-in' } : null;
+  }
+
+  /**
+   * Applies a profile's text cleanup rules to heading text
+   * @param {string} text - Heading text
+   * @param {Object|null} profile - Profile for the page
+   * @returns {string} Cleaned, trimmed text
+   */
+  function cleanText(text, profile) {
+    let result = text;
+    for (const rule of (profile && profile.cleanup) || []) {
+      try {
+        result = result.replace(new RegExp(rule.pattern, 'g'), rule.replacement);
+      } catch (e) {
+        // Invalid patterns are rejected when saving; ignore any that slip through
+      }
+    }
+    return result.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Serializes profiles for export
+   * @param {Array<Object>} profiles - Profiles to export
+   * @returns {string} JSON text
+   */
+  function exportProfiles(profiles) {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      profiles: profiles.map(normalizeProfile)
+    }, null, 2);
+  }
+
+  /**
+   * Reads profiles from exported JSON. A bare array of profiles is accepted too.
+   * @param {string} json - File contents
+   * @returns {Array<Object>} Normalized profiles
+   * @throws {Error} If the file is not valid JSON or contains an invalid profile
+   */
+  function parseImport(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+
+    const list = Array.isArray(data) ? data : data && data.profiles;
+    if (!Array.isArray(list)) {
+      throw new Error('File does not contain any profiles');
+    }
+    if (!Array.isArray(data) && data.version > EXPORT_VERSION) {
+      throw new Error('File was exported by a newer version of the extension');
+    }
+
+    return list.map((input, index) => {
+      const profile = normalizeProfile(input);
+      const error = validateProfile(profile);
+      if (error) {
+        throw new Error(`Profile ${index + 1}: ${error}`);
+      }
+      return profile;
+    });
+  }
+
+  /**
+   * Merges imported profiles into existing ones, replacing profiles for the same site
+   * @param {Array<Object>} current - Existing custom profiles
+   * @param {Array<Object>} imported - Profiles returned by parseImport
+   * @returns {Array<Object>} Merged profiles
+   */
+  function mergeProfiles(current, imported) {
+    const merged = [...current];
+    for (const profile of imported) {
+      const index = merged.findIndex(existing => existing.site === profile.site);
+      if (index === -1) {
+        merged.push(profile);
+      } else {
+        merged[index] = profile;
+      }
+    }
+    return merged;
+  }
+
+  global.TOCProfiles = {
+    BUILT_IN_PROFILES,
+    isValidSelector,
+    normalizeProfile,
+    validateProfile,
+    findProfile,
+    cleanText,
+    exportProfiles,
+    parseImport,
+    mergeProfiles
+  };
+})(globalThis);
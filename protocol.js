@@ -0,0 +1,293 @@
+/**
+ * Message protocol between the popup, background worker and content script.
+ * Every command is listed here with the script that handles it and the
+ * arguments it takes, so nothing outside this list can be run by a message.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCProtocol) {
+    return;
+  }
+
+  // Raised whenever a command or its arguments change incompatibly. A content
+  // script left on a page from before an update answers with its own version.
+  const VERSION = 1;
+
+  // Command names
+  const COMMANDS = {
+    PING: 'ping',
+    CHECK_STATUS: 'checkStatus',
+    REPORT_STATUS: 'reportStatus',
+    GET_SHORTCUT: 'getShortcut',
+    GET_HEADINGS: 'getHeadings',
+    SCROLL_TO_HEADING: 'scrollToHeading',
+    TOGGLE: 'toggle',
+    REFRESH: 'refresh',
+    SET_POSITION: 'setPosition',
+    GET_POSITION: 'getPosition',
+    SWITCH_SIDE: 'switchSide',
+    NEXT_HEADING: 'nextHeading',
+    PREVIOUS_HEADING: 'previousHeading',
+    PARENT_HEADING: 'parentHeading',
+    OPEN_PALETTE: 'openPalette',
+    ALLOW_PAGE: 'allowPage',
+    DISALLOW_PAGE: 'disallowPage'
+  };
+
+  // Codes of the errors a command can fail with
+  const ERRORS = {
+    // The message is not a protocol request at all
+    BAD_REQUEST: 'bad_request',
+    // Sender and receiver speak different protocol versions
+    VERSION_MISMATCH: 'version_mismatch',
+    UNKNOWN_COMMAND: 'unknown_command',
+    INVALID_ARGUMENTS: 'invalid_arguments',
+    // The TOC is not enabled on the page
+    NOT_ENABLED: 'not_enabled',
+    // No content script answers in the tab and none could be injected
+    NOT_READY: 'not_ready',
+    NO_TAB: 'no_tab',
+    // The command ran and threw
+    FAILED: 'failed'
+  };
+
+  // Each command's handler ('content' or 'background') and its arguments as
+  // { name: { type, optional, nullable, values } }. enabledOnly commands are
+  // refused on pages where the TOC is not enabled.
+  const DEFINITIONS = {
+    [COMMANDS.PING]: { target: 'content', args: {} },
+    [COMMANDS.CHECK_STATUS]: { target: 'background', args: {} },
+    [COMMANDS.REPORT_STATUS]: {
+      target: 'background',
+      args: {
+        allowed: { type: 'boolean' },
+        rule: { type: 'object', nullable: true },
+        headingCount: { type: 'number' },
+        lastRefresh: { type: 'number', nullable: true },
+        version: { type: 'string' }
+      }
+    },
+    // Keyboard shortcut currently bound to a command, or '' when none is
+    [COMMANDS.GET_SHORTCUT]: {
+      target: 'background',
+      args: {
+        command: { type: 'string' }
+      }
+    },
+    [COMMANDS.GET_HEADINGS]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.SCROLL_TO_HEADING]: {
+      target: 'content',
+      args: {
+        id: { type: 'string' },
+        position: { type: 'number', optional: true },
+        // Saved sections also send what anchors.js needs to find the
+        // heading again after its ID changed
+        text: { type: 'string', optional: true },
+        level: { type: 'number', optional: true },
+        index: { type: 'number', optional: true }
+      },
+      enabledOnly: true
+    },
+    [COMMANDS.TOGGLE]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.REFRESH]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.SET_POSITION]: {
+      target: 'content',
+      args: {
+        position: { type: 'string', values: ['left', 'right', 'floating'] }
+      },
+      enabledOnly: true
+    },
+    [COMMANDS.GET_POSITION]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.SWITCH_SIDE]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.NEXT_HEADING]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.PREVIOUS_HEADING]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.PARENT_HEADING]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.OPEN_PALETTE]: { target: 'content', args: {}, enabledOnly: true },
+    [COMMANDS.ALLOW_PAGE]: { target: 'content', args: {} },
+    [COMMANDS.DISALLOW_PAGE]: { target: 'content', args: {} }
+  };
+
+  /**
+   * Creates an error carrying one of the ERRORS codes
+   * @param {string} code - Error code
+   * @param {string} message - Description of what went wrong
+   * @returns {Error} The error, with its code in `code`
+   */
+  function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Returns how a command is handled
+   * @param {string} command - Command name
+   * @returns {Object|null} Its definition, or null for unknown commands
+   */
+  function getDefinition(command) {
+    return Object.prototype.hasOwnProperty.call(DEFINITIONS, command) ? DEFINITIONS[command] : null;
+  }
+
+  /**
+   * Builds a request message
+   * @param {string} command - Command name
+   * @param {Object} [args] - Command arguments
+   * @param {number} [tabId] - Tab to run a content command in, when sent to the background worker
+   * @returns {Object} Request as { protocol, command, args, tabId }
+   */
+  function createRequest(command, args = {}, tabId) {
+    const request = { protocol: VERSION, command, args };
+    if (tabId !== undefined) {
+      request.tabId = tabId;
+    }
+    return request;
+  }
+
+  /**
+   * Builds the response to a command that succeeded
+   * @param {*} result - Value the command returned
+   * @returns {Object} Response as { protocol, ok: true, result }
+   */
+  function success(result) {
+    return { protocol: VERSION, ok: true, result: result === undefined ? null : result };
+  }
+
+  /**
+   * Builds the response to a command that failed
+   * @param {string} code - One of the ERRORS codes
+   * @param {string} message - Description of what went wrong
+   * @returns {Object} Response as { protocol, ok: false, error: { code, message } }
+   */
+  function failure(code, message) {
+    return { protocol: VERSION, ok: false, error: { code, message } };
+  }
+
+  /**
+   * Checks a value against an argument description
+   * @param {*} value - Argument value
+   * @param {Object} spec - Description as { type, nullable, values }
+   * @returns {boolean} True if the value fits
+   */
+  function matchesSpec(value, spec) {
+    if (value === null) {
+      return Boolean(spec.nullable);
+    }
+    if (spec.type === 'object') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return false;
+      }
+    } else if (typeof value !== spec.type) {
+      return false;
+    }
+    if (spec.type === 'number' && !Number.isFinite(value)) {
+      return false;
+    }
+    return !spec.values || spec.values.includes(value);
+  }
+
+  /**
+   * Checks that a message is a well-formed request for a known command
+   * @param {*} message - Received message
+   * @returns {Object|null} A failure response, or null if the request is valid
+   */
+  function validateRequest(message) {
+    if (!message || typeof message !== 'object' || typeof message.command !== 'string') {
+      return failure(ERRORS.BAD_REQUEST, 'Not a TOC request');
+    }
+    if (message.protocol !== VERSION) {
+      return failure(ERRORS.VERSION_MISMATCH, `Expected protocol version ${VERSION}, got ${message.protocol}`);
+    }
+
+    const definition = getDefinition(message.command);
+    if (!definition) {
+      return failure(ERRORS.UNKNOWN_COMMAND, `Unknown command: ${message.command}`);
+    }
+    if (message.tabId !== undefined && !Number.isInteger(message.tabId)) {
+      return failure(ERRORS.INVALID_ARGUMENTS, 'tabId must be an integer');
+    }
+
+    const args = message.args === undefined ? {} : message.args;
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return failure(ERRORS.INVALID_ARGUMENTS, `Arguments of ${message.command} must be an object`);
+    }
+    for (const name of Object.keys(args)) {
+      if (!Object.prototype.hasOwnProperty.call(definition.args, name)) {
+        return failure(ERRORS.INVALID_ARGUMENTS, `Unexpected argument of ${message.command}: ${name}`);
+      }
+    }
+    for (const [name, spec] of Object.entries(definition.args)) {
+      if (args[name] === undefined) {
+        if (!spec.optional) {
+          return failure(ERRORS.INVALID_ARGUMENTS, `Missing argument of ${message.command}: ${name}`);
+        }
+      } else if (!matchesSpec(args[name], spec)) {
+        return failure(ERRORS.INVALID_ARGUMENTS, `Invalid argument of ${message.command}: ${name}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validates a request and runs its handler
+   * @param {*} message - Received message
+   * @param {Object} handlers - Handler for each command this script runs,
+   *   called with the arguments, the request and options.sender
+   * @param {Object} [options] - { enabled: false } refuses enabledOnly
+   *   commands, and sender is the message sender passed to handlers
+   * @returns {Promise<Object>} The success or failure response
+   */
+  async function dispatch(message, handlers, options = {}) {
+    const invalid = validateRequest(message);
+    if (invalid) {
+      return invalid;
+    }
+
+    const handler = Object.prototype.hasOwnProperty.call(handlers, message.command) ? handlers[message.command] : null;
+    if (!handler) {
+      return failure(ERRORS.UNKNOWN_COMMAND, `Command ${message.command} is not handled here`);
+    }
+    if (getDefinition(message.command).enabledOnly && options.enabled === false) {
+      return failure(ERRORS.NOT_ENABLED, 'TOC not enabled for this page');
+    }
+
+    try {
+      return success(await handler(message.args || {}, message, options.sender));
+    } catch (e) {
+      return failure(e.code || ERRORS.FAILED, e.message);
+    }
+  }
+
+  /**
+   * Returns the result of a response, throwing its error if the command failed
+   * @param {*} response - Response to a request
+   * @returns {*} The command's result
+   */
+  function unwrap(response) {
+    if (!response || typeof response !== 'object') {
+      throw createError(ERRORS.NOT_READY, 'No response from the TOC');
+    }
+    if (response.protocol !== VERSION) {
+      throw createError(ERRORS.VERSION_MISMATCH, 'The page runs an outdated copy of the TOC. Reload it to update.');
+    }
+    if (!response.ok) {
+      const error = response.error || {};
+      throw createError(error.code || ERRORS.FAILED, error.message || 'Command failed');
+    }
+    return response.result;
+  }
+
+  global.TOCProtocol = {
+    VERSION,
+    COMMANDS,
+    ERRORS,
+    createError,
+    getDefinition,
+    createRequest,
+    success,
+    failure,
+    validateRequest,
+    dispatch,
+    unwrap
+  };
+})(globalThis);
@@ -0,0 +1,323 @@
+/**
+ * Site rules deciding where the TOC is enabled. Shared by the content
+ * script, which applies them, and the options page, which edits and tests them.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCRules) {
+    return;
+  }
+
+  // Sites where the TOC is enabled out of the box (see matchesSite)
+  const BUILT_IN_DOMAINS = [
+    'chatgpt.com',
+    'gemini.google.com',
+    'grok.com'
+  ];
+
+  // URL patterns enabled out of the box. Patterns are tested against the
+  // whole URL, so this one is anchored to host names starting with blog.
+  const BUILT_IN_PATTERNS = [
+    { type: 'regex', pattern: '^https?://blog\\.[^/@]+/' }
+  ];
+
+  // Supported URL pattern syntaxes
+  const PATTERN_TYPES = ['regex', 'glob'];
+
+  /**
+   * Converts a glob to a regular expression matching the whole URL,
+   * where `*` matches any run of characters and `?` a single one
+   * @param {string} glob - Glob pattern
+   * @returns {RegExp} Case-insensitive regular expression
+   */
+  function globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(char => {
+        if (char === '*') {
+          return '.*';
+        }
+        if (char === '?') {
+          return '.';
+        }
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Compiles a URL pattern rule
+   * @param {Object} rule - { type: 'regex'|'glob', pattern }
+   * @returns {RegExp} Compiled pattern
+   */
+  function compilePattern(rule) {
+    if (rule.type === 'glob') {
+      return globToRegExp(rule.pattern);
+    }
+    return new RegExp(rule.pattern, 'i');
+  }
+
+  /**
+   * Checks that a URL pattern rule is usable
+   * @param {Object} rule - { type, pattern }
+   * @returns {string|null} Error message, or null if the rule is valid
+   */
+  function validatePattern(rule) {
+    if (!rule || !PATTERN_TYPES.includes(rule.type)) {
+      return 'Pattern type must be regex or glob';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      return 'Pattern cannot be empty';
+    }
+    try {
+      compilePattern(rule);
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+
+  /**
+   * Tests a URL against a pattern rule; invalid patterns never match
+   * @param {Object} rule - { type, pattern }
+   * @param {string} url - URL to test
+   * @returns {boolean} True if the URL matches
+   */
+  function testPattern(rule, url) {
+    try {
+      return compilePattern(rule).test(url);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Ports implied by a URL that does not spell one out
+  const DEFAULT_PORTS = {
+    'http:': '80',
+    'https:': '443'
+  };
+
+  /**
+   * Cleans up a site entry typed or pasted by the user. The scheme, query
+   * and fragment are dropped, the host is lowercased and the path is kept.
+   * @param {string} input - Site entry or URL
+   * @returns {string} Normalized entry, or '' if nothing usable remains
+   */
+  function normalizeDomain(input) {
+    const trimmed = String(input || '')
+      .trim()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+      .replace(/[?#].*$/, '');
+    const slash = trimmed.indexOf('/');
+    const host = slash === -1 ? trimmed : trimmed.slice(0, slash);
+    const path = slash === -1 ? '' : trimmed.slice(slash).replace(/\/+$/, '');
+    return host.toLowerCase() + path;
+  }
+
+  /**
+   * Splits a site entry into its parts
+   * @param {string} entry - Entry such as `*.example.com:8080/docs`
+   * @returns {Object} { host, wildcard, port, path }
+   */
+  function parseSiteRule(entry) {
+    const normalized = normalizeDomain(entry);
+    const slash = normalized.indexOf('/');
+    let host = slash === -1 ? normalized : normalized.slice(0, slash);
+    const path = slash === -1 ? '' : normalized.slice(slash);
+
+    let port = '';
+    const portMatch = host.match(/^(.*):(\d+)$/);
+    if (portMatch) {
+      host = portMatch[1];
+      port = portMatch[2];
+    }
+
+    const wildcard = host.startsWith('*.');
+    if (wildcard) {
+      host = host.slice(2);
+    }
+
+    return { host, wildcard, port, path };
+  }
+
+  /**
+   * Checks that a site entry is usable
+   * @param {string} entry - Site entry
+   * @returns {string|null} Error message, or null if the entry is valid
+   */
+  function validateSiteRule(entry) {
+    const rule = parseSiteRule(entry);
+    if (!rule.host) {
+      return 'Site cannot be empty';
+    }
+    if (rule.host.includes('*')) {
+      return 'Wildcards are only supported as a leading "*." (e.g. *.example.com)';
+    }
+    if (!/^(\[[0-9a-f:.]+\]|[a-z0-9_.-]+)$/.test(rule.host)) {
+      return `"${rule.host}" is not a valid host name`;
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a URL is covered by a site entry.
+   * - `example.com` matches that exact host only
+   * - `*.example.com` matches example.com and every subdomain
+   * - `example.com:8080` additionally requires that port
+   * - `example.com/docs` additionally requires the path to be /docs or below
+   * @param {string|URL} url - Page URL
+   * @param {string} entry - Site entry
+   * @returns {boolean} True if the entry covers the URL
+   */
+  function matchesSite(url, entry) {
+    let parsed;
+    try {
+      parsed = url instanceof URL ? url : new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const rule = parseSiteRule(entry);
+    const hostname = parsed.hostname.toLowerCase();
+    if (!rule.host || !hostname) {
+      return false;
+    }
+
+    const hostMatches = rule.wildcard
+      ? hostname === rule.host || hostname.endsWith(`.${rule.host}`)
+      : hostname === rule.host;
+    if (!hostMatches) {
+      return false;
+    }
+
+    if (rule.port) {
+      const port = parsed.port || DEFAULT_PORTS[parsed.protocol] || '';
+      if (port !== rule.port) {
+        return false;
+      }
+    }
+
+    if (rule.path) {
+      const pathname = parsed.pathname.replace(/\/+$/, '');
+      if (pathname !== rule.path && !pathname.startsWith(`${rule.path}/`)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks whether a URL is covered by a built-in site
+   * @param {string} url - Page URL
+   * @returns {boolean} True for built-in sites
+   */
+  function isBuiltInSite(url) {
+    return BUILT_IN_DOMAINS.some(domain => matchesSite(url, domain));
+  }
+
+  /**
+   * Lists every rule that matches a URL, in precedence order:
+   * 1. Disabled sites (always win)
+   * 2. Custom allowed sites
+   * 3. Built-in sites
+   * 4. Custom URL patterns
+   * 5. Built-in URL patterns
+   * 6. Local files (file:///)
+   * @param {string} url - Page URL
+   * @param {Object} settings - Settings with allowedDomains, disallowedDomains and urlPatterns
+   * @returns {Array<Object>} Matching rules as { source, kind, value, allow }
+   */
+  function findMatchingRules(url, settings) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return [];
+    }
+
+    const matches = [];
+    const addSites = (entries, source, allow) => {
+      for (const entry of entries) {
+        if (matchesSite(parsed, entry)) {
+          matches.push({ source, kind: 'domain', value: entry, allow });
+        }
+      }
+    };
+    const addPatterns = (patterns, source) => {
+      for (const pattern of patterns) {
+        if (testPattern(pattern, parsed.href)) {
+          matches.push({ source, kind: pattern.type, value: pattern.pattern, allow: true });
+        }
+      }
+    };
+
+    addSites(settings.disallowedDomains || [], 'disallowed', false);
+    addSites(settings.allowedDomains || [], 'custom', true);
+    addSites(BUILT_IN_DOMAINS, 'built-in', true);
+    addPatterns(settings.urlPatterns || [], 'custom');
+    addPatterns(BUILT_IN_PATTERNS, 'built-in');
+
+    if (parsed.protocol === 'file:') {
+      matches.push({ source: 'file', kind: 'file', value: 'file:///', allow: true });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Decides whether the TOC is enabled on a URL and explains why
+   * @param {string} url - Page URL
+   * @param {Object} settings - Settings with allowedDomains, disallowedDomains and urlPatterns
+   * @returns {Object} { allowed, rule, matches } where rule is the deciding
+   *   { source, kind, value, allow } or null when no rule matches
+   */
+  function evaluate(url, settings) {
+    const matches = findMatchingRules(url, settings);
+    const rule = matches.length > 0 ? matches[0] : null;
+    return { allowed: Boolean(rule && rule.allow), rule, matches };
+  }
+
+  /**
+   * Describes a rule returned by evaluate for display
+   * @param {Object|null} rule - Matched rule
+   * @returns {string} Human readable description
+   */
+  function describeRule(rule) {
+    if (!rule) {
+      return 'No rule matches this URL';
+    }
+    if (rule.source === 'file') {
+      return 'Local files are always enabled';
+    }
+
+    const sources = {
+      'built-in': 'built-in',
+      custom: 'allowed',
+      disallowed: 'disabled'
+    };
+    const kinds = {
+      domain: 'site',
+      regex: 'regex pattern',
+      glob: 'glob pattern'
+    };
+    return `Matched ${sources[rule.source]} ${kinds[rule.kind]} "${rule.value}"`;
+  }
+
+  global.TOCRules = {
+    BUILT_IN_DOMAINS,
+    BUILT_IN_PATTERNS,
+    PATTERN_TYPES,
+    validatePattern,
+    testPattern,
+    normalizeDomain,
+    validateSiteRule,
+    matchesSite,
+    isBuiltInSite,
+    findMatchingRules,
+    evaluate,
+    describeRule
+  };
+})(globalThis);
@@ -0,0 +1,512 @@
+/**
+ * Settings store shared by the content script, popup and background worker.
+ * Values live in chrome.storage so every tab reads the same preferences,
+ * and change events let open tabs pick up edits made anywhere else.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCSettings) {
+    return;
+  }
+
+  // Preferences that follow the user across browsers (chrome.storage.sync)
+  const SYNC_DEFAULTS = {
+    allowedDomains: [],
+    disallowedDomains: [],
+    // Syntax version of the two lists above (see SITE_RULES_VERSION)
+    siteRulesVersion: 0,
+    // Custom URL patterns as { type: 'regex'|'glob', pattern }
+    urlPatterns: [],
+    // Heading levels (1-6) included in the TOC
+    headingLevels: [1, 2, 3, 4, 5, 6],
+    // Sidebar theme and typography (see themes.js). theme is 'auto', which
+    // follows the page and system color scheme, or a built-in theme name.
+    appearance: {
+      theme: 'auto',
+      fontSize: 16,
+      lineHeight: 1.3,
+      density: 'comfortable',
+      accentColor: ''
+    },
+    config: {}
+  };
+
+  // Per-device data that can outgrow the sync quota (chrome.storage.local)
+  const LOCAL_DEFAULTS = {
+    sites: {},
+    // Custom site profiles (see profiles.js), checked before the built-in
+    // ones. Imported sets easily pass the 8 KB a sync item may hold.
+    siteProfiles: [],
+    // Reading progress keyed by page URL without its hash, as
+    // { read: [heading IDs], lastId, updatedAt }
+    readingProgress: {},
+    // Pinned headings keyed by page URL without its hash, as
+    // { title, pins: [anchors from anchors.js], updatedAt }
+    pins: {},
+    // Notes on headings keyed by page URL without its hash, as
+    // { title, notes: [anchors with a note and updatedAt], updatedAt }
+    notes: {},
+    // Sites whose page localStorage has been migrated, keyed by site key
+    // with the time it ran, so values a page writes later are never read
+    legacyMigrated: {}
+  };
+
+  // Defaults for each entry of the per-site `sites` map
+  const SITE_DEFAULTS = {
+    // 'left' or 'right' to dock at that edge, or 'floating' to stay where it was dragged
+    position: 'right',
+    // Sidebar size and placement in px. A null height fits the content (up to
+    // 80% of the window) and left only applies while floating.
+    geometry: { width: 280, height: null, top: 20, left: null },
+    // 'overlay' floats over the page; 'docked' narrows the page to make room
+    // for a sidebar on the left or right
+    layout: 'overlay',
+    visibility: 'visible',
+    // Deepest TOC tree level shown
+    depth: 6,
+    // 'auto' (last heading first on chat sites), 'document' or 'reverse'
+    order: 'auto',
+    // List chat turns with each reply's headings nested underneath, on
+    // sites whose profile describes user messages
+    conversation: true
+  };
+
+  // Page localStorage keys used before settings moved into chrome.storage
+  const LEGACY_KEYS = {
+    ALLOWED_DOMAINS: 'any-toc-allowed-domains',
+    DISALLOWED_DOMAINS: 'any-toc-disallowed-domains',
+    CONFIG: 'any-toc-config',
+    POSITION: 'any-toc-position',
+    VISIBILITY: 'any-toc-visibility'
+  };
+
+  // Keys of the `config` setting and the range of each, in ms. Anything
+  // else in a stored config is ignored.
+  const CONFIG_LIMITS = {
+    CONTENT_CHANGE_THRESHOLD: { min: 0, max: 5000 },
+    CONTENT_CHANGE_MAX_WAIT: { min: 100, max: 30000 },
+    USER_INTERACTION_THRESHOLD: { min: 0, max: 10000 }
+  };
+
+  // Version 0 site entries matched any host containing them, so
+  // `example.com` also covered www.example.com. Version 1 entries follow
+  // TOCRules.matchesSite, where that takes `*.example.com`.
+  const SITE_RULES_VERSION = 1;
+
+  // Settings that earlier versions kept in chrome.storage.sync
+  const MOVED_TO_LOCAL = ['siteProfiles'];
+
+  const listeners = [];
+
+  /**
+   * Deep-copies a JSON-compatible value so callers never share defaults
+   * @param {*} value - Value to copy
+   * @returns {*} The copy
+   */
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Returns the storage area a setting is kept in
+   * @param {string} key - Setting name
+   * @returns {string|null} 'sync', 'local', or null for unknown settings
+   */
+  function getArea(key) {
+    if (Object.prototype.hasOwnProperty.call(SYNC_DEFAULTS, key)) {
+      return 'sync';
+    }
+    if (Object.prototype.hasOwnProperty.call(LOCAL_DEFAULTS, key)) {
+      return 'local';
+    }
+    return null;
+  }
+
+  /**
+   * Returns the default value of a setting
+   * @param {string} key - Setting name
+   * @returns {*} A fresh copy of the default value
+   */
+  function getDefault(key) {
+    return clone(getArea(key) === 'local' ? LOCAL_DEFAULTS[key] : SYNC_DEFAULTS[key]);
+  }
+
+  /**
+   * Returns every setting at its default value
+   * @returns {Object} Default settings keyed by name
+   */
+  function getDefaults() {
+    return clone({ ...SYNC_DEFAULTS, ...LOCAL_DEFAULTS });
+  }
+
+  /**
+   * Loads every setting, filling in defaults for values never stored
+   * @returns {Promise<Object>} All settings keyed by name
+   */
+  async function getAll() {
+    const [syncValues, localValues] = await Promise.all([
+      chrome.storage.sync.get(Object.keys(SYNC_DEFAULTS)),
+      chrome.storage.local.get(Object.keys(LOCAL_DEFAULTS))
+    ]);
+    const stored = { ...syncValues, ...localValues };
+    const result = getDefaults();
+
+    for (const key of Object.keys(result)) {
+      if (stored[key] !== undefined) {
+        result[key] = stored[key];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Loads a single setting
+   * @param {string} key - Setting name
+   * @returns {Promise<*>} The stored value or its default
+   */
+  async function get(key) {
+    const area = getArea(key);
+    if (!area) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const values = await chrome.storage[area].get(key);
+    return values[key] !== undefined ? values[key] : getDefault(key);
+  }
+
+  /**
+   * Stores one or more settings, routing each to its storage area
+   * @param {Object} values - Settings to store keyed by name
+   * @returns {Promise<void>}
+   */
+  async function set(values) {
+    const byArea = { sync: {}, local: {} };
+
+    for (const [key, value] of Object.entries(values)) {
+      const area = getArea(key);
+      if (!area) {
+        throw new Error(`Unknown setting: ${key}`);
+      }
+      byArea[area][key] = value;
+    }
+
+    const writes = [];
+    for (const [area, areaValues] of Object.entries(byArea)) {
+      if (Object.keys(areaValues).length > 0) {
+        writes.push(chrome.storage[area].set(areaValues));
+      }
+    }
+    await Promise.all(writes);
+  }
+
+  /**
+   * Reads a setting, transforms it and stores the result
+   * @param {string} key - Setting name
+   * @param {Function} updater - Receives the current value and returns the new one
+   * @returns {Promise<*>} The stored value
+   */
+  async function update(key, updater) {
+    const value = updater(await get(key));
+    await set({ [key]: value });
+    return value;
+  }
+
+  /**
+   * Returns the key that per-site preferences are stored under for a URL
+   * @param {string} url - Page URL
+   * @returns {string} Hostname, or the protocol for host-less URLs like file:///
+   */
+  function getSiteKey(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.hostname || parsed.protocol;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Resolves the preferences of one site from a `sites` map
+   * @param {Object} sites - Value of the `sites` setting
+   * @param {string} siteKey - Key returned by getSiteKey
+   * @returns {Object} Site preferences with defaults applied
+   */
+  function resolveSite(sites, siteKey) {
+    return { ...clone(SITE_DEFAULTS), ...((sites && sites[siteKey]) || {}) };
+  }
+
+  /**
+   * Loads the preferences of one site
+   * @param {string} siteKey - Key returned by getSiteKey
+   * @returns {Promise<Object>} Site preferences with defaults applied
+   */
+  async function getSite(siteKey) {
+    return resolveSite(await get('sites'), siteKey);
+  }
+
+  /**
+   * Merges new values into the preferences of one site
+   * @param {string} siteKey - Key returned by getSiteKey
+   * @param {Object} values - Preferences to change
+   * @returns {Promise<Object>} The site's updated preferences
+   */
+  async function updateSite(siteKey, values) {
+    const sites = await update('sites', current => ({
+      ...current,
+      [siteKey]: { ...(current[siteKey] || {}), ...values }
+    }));
+    return resolveSite(sites, siteKey);
+  }
+
+  /**
+   * Registers a listener for changes made from any tab or extension page
+   * @param {Function} listener - Called with { key: { oldValue, newValue } }
+   * @returns {Function} Call to remove the listener
+   */
+  function onChanged(listener) {
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Persists defaults for settings that have never been stored, so newly
+   * introduced settings exist after an install or update, and moves settings
+   * stored by earlier versions to where they are kept now
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    await moveSyncedSettings();
+    const current = await getAll();
+    await set({ ...current, ...upgradeSiteRules(current) });
+  }
+
+  /**
+   * Moves settings that are now per-device out of chrome.storage.sync,
+   * unless this device already has its own copy
+   * @returns {Promise<void>}
+   */
+  async function moveSyncedSettings() {
+    const synced = await chrome.storage.sync.get(MOVED_TO_LOCAL);
+    const keys = Object.keys(synced);
+    if (keys.length === 0) {
+      return;
+    }
+
+    const local = await chrome.storage.local.get(keys);
+    const values = {};
+    keys.forEach(key => {
+      if (local[key] === undefined) {
+        values[key] = synced[key];
+      }
+    });
+    await chrome.storage.local.set(values);
+    await chrome.storage.sync.remove(keys);
+  }
+
+  /**
+   * Rewrites site entries stored in an older syntax so they keep covering
+   * the same hosts: plain hosts used to take in their subdomains, so
+   * `example.com` becomes `*.example.com`
+   * @param {Object} settings - All settings, as returned by getAll
+   * @returns {Object} Settings to store, or {} if they are up to date
+   */
+  function upgradeSiteRules(settings) {
+    if (settings.siteRulesVersion >= SITE_RULES_VERSION || !global.TOCRules) {
+      return {};
+    }
+
+    const upgrade = entries => [...new Set(entries.map(entry => {
+      const domain = global.TOCRules.normalizeDomain(entry);
+      // Entries with a port or path never matched a bare host name
+      if (!domain || global.TOCRules.validateSiteRule(domain) || /[:/]/.test(domain) || domain.startsWith('*.')) {
+        return entry;
+      }
+      return `*.${domain}`;
+    }))];
+
+    return {
+      allowedDomains: upgrade(settings.allowedDomains),
+      disallowedDomains: upgrade(settings.disallowedDomains),
+      siteRulesVersion: SITE_RULES_VERSION
+    };
+  }
+
+  /**
+   * Picks the known keys of a `config` value that hold numbers in range
+   * @param {*} config - Stored or legacy config
+   * @returns {Object} Config with only valid values
+   */
+  function sanitizeConfig(config) {
+    const result = {};
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return result;
+    }
+    for (const [key, limits] of Object.entries(CONFIG_LIMITS)) {
+      const value = config[key];
+      if (Number.isFinite(value) && value >= limits.min && value <= limits.max) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks whether a legacy site entry applied to a host. Entries used to
+   * match any host containing them, so `example.com` covered www.example.com.
+   * @param {*} entry - Legacy entry
+   * @param {string} hostname - The page's host
+   * @returns {boolean} True for valid entries that covered the host
+   */
+  function legacyEntryCovers(entry, hostname) {
+    if (typeof entry !== 'string' || !global.TOCRules) {
+      return false;
+    }
+    const domain = global.TOCRules.normalizeDomain(entry);
+    return Boolean(domain) && !global.TOCRules.validateSiteRule(domain) && hostname.includes(domain);
+  }
+
+  /**
+   * Parses a JSON value left in page localStorage
+   * @param {Storage} storage - The page's localStorage
+   * @param {string} key - Legacy key
+   * @returns {*} Parsed value, or undefined when missing or malformed
+   */
+  function readLegacyJSON(storage, key) {
+    const raw = storage.getItem(key);
+    if (!raw) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.error(`Error parsing legacy setting ${key}:`, e);
+      return undefined;
+    }
+  }
+
+  /**
+   * Moves settings from a page's localStorage into chrome.storage, then
+   * deletes them. Any page can write these keys, so only what concerned the
+   * page itself is kept: site entries become rules for its own host, config
+   * keeps known values, and URL patterns are dropped. Runs once per site.
+   * @param {Storage} storage - The page's localStorage
+   * @param {string} url - The page's URL
+   * @returns {Promise<boolean>} True if anything was migrated
+   */
+  async function migrateLegacyStorage(storage, url) {
+    const siteKey = getSiteKey(url);
+    const legacyKeys = Object.values(LEGACY_KEYS);
+    if (!siteKey || !legacyKeys.some(key => storage.getItem(key) !== null)) {
+      return false;
+    }
+
+    const current = await getAll();
+    if (current.legacyMigrated[siteKey]) {
+      return false;
+    }
+
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      hostname = '';
+    }
+    const values = {
+      legacyMigrated: { ...current.legacyMigrated, [siteKey]: Date.now() }
+    };
+
+    const config = readLegacyJSON(storage, LEGACY_KEYS.CONFIG);
+    const legacyConfig = config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+
+    // Older versions kept extra allowed domains in the config as well
+    const allowed = readLegacyJSON(storage, LEGACY_KEYS.ALLOWED_DOMAINS);
+    const allowedEntries = [
+      ...(Array.isArray(allowed) ? allowed : []),
+      ...(Array.isArray(legacyConfig.ALLOWED_DOMAINS) ? legacyConfig.ALLOWED_DOMAINS : [])
+    ];
+    if (hostname && allowedEntries.some(entry => legacyEntryCovers(entry, hostname))) {
+      values.allowedDomains = [...new Set([...current.allowedDomains, hostname])];
+    }
+
+    const disallowed = readLegacyJSON(storage, LEGACY_KEYS.DISALLOWED_DOMAINS);
+    if (hostname && Array.isArray(disallowed) && disallowed.some(entry => legacyEntryCovers(entry, hostname))) {
+      values.disallowedDomains = [...new Set([...current.disallowedDomains, hostname])];
+    }
+
+    // Values already in chrome.storage win over older per-origin copies
+    const migratedConfig = sanitizeConfig(legacyConfig);
+    if (Object.keys(migratedConfig).length > 0) {
+      values.config = { ...migratedConfig, ...sanitizeConfig(current.config) };
+    }
+
+    const site = {};
+    const position = storage.getItem(LEGACY_KEYS.POSITION);
+    if (position === 'left' || position === 'right') {
+      site.position = position;
+    }
+    const visibility = storage.getItem(LEGACY_KEYS.VISIBILITY);
+    if (visibility === 'visible' || visibility === 'hidden') {
+      site.visibility = visibility;
+    }
+    if (Object.keys(site).length > 0) {
+      values.sites = {
+        ...current.sites,
+        [siteKey]: { ...site, ...(current.sites[siteKey] || {}) }
+      };
+    }
+
+    await set(values);
+    legacyKeys.forEach(key => storage.removeItem(key));
+    return true;
+  }
+
+  // Forward storage changes for known settings to registered listeners
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const relevant = {};
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (getArea(key) !== areaName) {
+        continue;
+      }
+      relevant[key] = {
+        oldValue: change.oldValue !== undefined ? change.oldValue : getDefault(key),
+        newValue: change.newValue !== undefined ? change.newValue : getDefault(key)
+      };
+    }
+
+    if (Object.keys(relevant).length === 0) {
+      return;
+    }
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(relevant);
+      } catch (e) {
+        console.error('Error in settings change listener:', e);
+      }
+    }
+  });
+
+  global.TOCSettings = {
+    SITE_DEFAULTS,
+    getDefaults,
+    getAll,
+    get,
+    set,
+    update,
+    getSiteKey,
+    resolveSite,
+    sanitizeConfig,
+    getSite,
+    updateSite,
+    onChanged,
+    initialize,
+    migrateLegacyStorage
+  };
+})(globalThis);
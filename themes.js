@@ -0,0 +1,210 @@
+/**
+ * Sidebar themes and typography. Shared by the content script, which styles
+ * the TOC with them, and the popup, which previews them while editing.
+ */
+
+(function(global) {
+  // The content script can be injected more than once into the same page
+  if (global.TOCThemes) {
+    return;
+  }
+
+  // Built-in color themes. 'auto' picks light or dark to suit the page.
+  const THEMES = {
+    light: {
+      label: 'Light',
+      dark: false,
+      background: '#ffffff',
+      headerBackground: '#f8f8f8',
+      text: '#333333',
+      secondaryText: '#555555',
+      mutedText: '#888888',
+      border: '#dddddd',
+      divider: '#eeeeee',
+      hover: '#f5f5f5',
+      accent: '#4285f4'
+    },
+    dark: {
+      label: 'Dark',
+      dark: true,
+      background: '#202124',
+      headerBackground: '#292a2d',
+      text: '#e8eaed',
+      secondaryText: '#bdc1c6',
+      mutedText: '#9aa0a6',
+      border: '#3c4043',
+      divider: '#35363a',
+      hover: '#303134',
+      accent: '#8ab4f8'
+    },
+    sepia: {
+      label: 'Sepia',
+      dark: false,
+      background: '#f8f1e3',
+      headerBackground: '#f0e6d2',
+      text: '#4b3b2a',
+      secondaryText: '#6b5a45',
+      mutedText: '#93826c',
+      border: '#dccdb3',
+      divider: '#e8dcc6',
+      hover: '#efe3cc',
+      accent: '#b5651d'
+    },
+    midnight: {
+      label: 'Midnight',
+      dark: true,
+      background: '#0f172a',
+      headerBackground: '#1e293b',
+      text: '#e2e8f0',
+      secondaryText: '#cbd5e1',
+      mutedText: '#94a3b8',
+      border: '#334155',
+      divider: '#1e293b',
+      hover: '#1e293b',
+      accent: '#38bdf8'
+    }
+  };
+
+  // Vertical spacing between TOC entries, as a multiple of the default
+  const DENSITIES = {
+    compact: 0.5,
+    comfortable: 1,
+    spacious: 1.6
+  };
+
+  // Allowed typography ranges, shared with the popup's sliders
+  const FONT_SIZE_RANGE = { min: 11, max: 22 };
+  const LINE_HEIGHT_RANGE = { min: 1, max: 2 };
+
+  // Relative luminance (0-1) below which a page background counts as dark
+  const DARK_LUMINANCE = 0.18;
+
+  /**
+   * Parses a computed CSS color (rgb()/rgba()) or a #rrggbb hex color
+   * @param {string} value - Color string
+   * @returns {Object|null} { r, g, b, alpha }, or null if it can't be parsed
+   */
+  function parseColor(value) {
+    const text = String(value || '').trim();
+
+    const hex = text.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+    if (hex) {
+      return {
+        r: parseInt(hex[1], 16),
+        g: parseInt(hex[2], 16),
+        b: parseInt(hex[3], 16),
+        alpha: 1
+      };
+    }
+
+    const rgb = text.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+    if (!rgb) {
+      return null;
+    }
+    let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4] && rgb[4].endsWith('%')) {
+      alpha /= 100;
+    }
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), alpha };
+  }
+
+  /**
+   * Tells whether a color is dark enough to need light text on top of it
+   * @param {Object} color - Color returned by parseColor
+   * @returns {boolean} True for dark colors
+   */
+  function isDarkColor(color) {
+    // Relative luminance per WCAG, from sRGB channels
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const luminance = 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+    return luminance < DARK_LUMINANCE;
+  }
+
+  /**
+   * Clamps a number into a range, falling back when it isn't a number
+   * @param {*} value - Value to clamp
+   * @param {Object} range - { min, max }
+   * @param {number} fallback - Used when value is not a finite number
+   * @returns {number} The clamped value
+   */
+  function clamp(value, range, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return fallback;
+    }
+    return Math.min(range.max, Math.max(range.min, number));
+  }
+
+  /**
+   * Fills in and validates appearance settings
+   * @param {Object} input - Value of the appearance setting
+   * @returns {Object} { theme, fontSize, lineHeight, density, accentColor }
+   */
+  function normalizeAppearance(input) {
+    const defaults = TOCSettings.getDefaults().appearance;
+    const appearance = { ...defaults, ...(input && typeof input === 'object' ? input : {}) };
+    return {
+      theme: appearance.theme === 'auto' || THEMES[appearance.theme] ? appearance.theme : defaults.theme,
+      fontSize: clamp(appearance.fontSize, FONT_SIZE_RANGE, defaults.fontSize),
+      lineHeight: clamp(appearance.lineHeight, LINE_HEIGHT_RANGE, defaults.lineHeight),
+      density: DENSITIES[appearance.density] ? appearance.density : defaults.density,
+      accentColor: /^#[0-9a-f]{6}$/i.test(appearance.accentColor) ? appearance.accentColor.toLowerCase() : ''
+    };
+  }
+
+  /**
+   * Picks the theme to show
+   * @param {string} theme - Theme setting: 'auto' or a key of THEMES
+   * @param {boolean|null} pageDark - Whether the page looks dark, or null if unknown
+   * @param {boolean} systemDark - Whether the system prefers a dark color scheme
+   * @returns {string} A key of THEMES
+   */
+  function resolveTheme(theme, pageDark, systemDark) {
+    if (THEMES[theme]) {
+      return theme;
+    }
+    const dark = pageDark === null || pageDark === undefined ? systemDark : pageDark;
+    return dark ? 'dark' : 'light';
+  }
+
+  /**
+   * Builds the CSS custom properties styling the sidebar
+   * @param {Object} input - Value of the appearance setting
+   * @param {string} themeName - Theme returned by resolveTheme
+   * @returns {Object} Property values keyed by custom property name
+   */
+  function getThemeVariables(input, themeName) {
+    const appearance = normalizeAppearance(input);
+    const theme = THEMES[themeName] || THEMES.light;
+    return {
+      '--any-toc-color-scheme': theme.dark ? 'dark' : 'light',
+      '--any-toc-bg': theme.background,
+      '--any-toc-header-bg': theme.headerBackground,
+      '--any-toc-text': theme.text,
+      '--any-toc-text-secondary': theme.secondaryText,
+      '--any-toc-text-muted': theme.mutedText,
+      '--any-toc-border': theme.border,
+      '--any-toc-divider': theme.divider,
+      '--any-toc-hover': theme.hover,
+      '--any-toc-accent': appearance.accentColor || theme.accent,
+      '--any-toc-font-size': `${appearance.fontSize}px`,
+      '--any-toc-line-height': String(appearance.lineHeight),
+      '--any-toc-spacing': String(DENSITIES[appearance.density])
+    };
+  }
+
+  global.TOCThemes = {
+    THEMES,
+    DENSITIES,
+    FONT_SIZE_RANGE,
+    LINE_HEIGHT_RANGE,
+    parseColor,
+    isDarkColor,
+    normalizeAppearance,
+    resolveTheme,
+    getThemeVariables
+  };
+})(globalThis);